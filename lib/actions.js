@@ -1,36 +1,314 @@
 "use strict";
 
+const createState = require("./state");
+const createUtils = require("./utils");
+
+/**
+ * Entscheidungen (z. B. aus Telegram oder sendTo) und der daraus folgende Status.
+ */
+const DECISION_STATUS = {
+  approve: "approved",
+  reject: "rejected",
+  modify: "modified",
+  complete: "done",
+};
+
 /**
- * Vorschläge (Aktionen) generieren.
+ * Erlaubte Statusübergänge im Aktions-Lifecycle.
  */
-module.exports = () => {
+const TRANSITIONS = {
+  proposed: ["approved", "rejected", "modified", "expired"],
+  approved: ["done", "rejected", "modified"],
+  modified: ["approved", "done", "rejected", "modified"],
+  rejected: [],
+  done: [],
+  expired: [],
+};
+
+const PRIORITIES = ["low", "medium", "high"];
+const OPEN_STATUSES = ["proposed", "approved", "modified"];
+const FEEDBACK_STATUSES = ["approved", "rejected", "modified"];
+const MAX_STORE_ENTRIES = 500;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Vorschläge (Aktionen) generieren und ihren Lifecycle verwalten.
+ * Der Aktionsspeicher liegt in report.actionHistory, report.actions enthält nur offene Aktionen.
+ */
+module.exports = (adapter) => {
+  const state = createState(adapter);
+  const utils = createUtils();
+
+  let queue = Promise.resolve();
+
   /**
-   * Erstellt einfache Vorschläge aus Abweichungen.
+   * Erstellt Vorschlags-Kandidaten aus typisierten Abweichungen.
+   * Stummgeschaltete learningKeys entfallen, gelernter Bonus verschiebt die Priorität.
+   * Empfehlungen (kind "recommendation") tragen zusätzlich die geschätzte Ersparnis (impact),
+   * ab tariff.highImpactEur pro Monat steigt die Priorität um eine Stufe.
+   * expiresAt (optional) begrenzt Hinweise, die nur für einen Zeitraum gelten.
+   * IDs und Status vergibt erst sync().
    */
-  function build(config, stats, deviations) {
+  function build(config, stats, deviations, policy = {}) {
     const now = Date.now();
     const actions = [];
 
     for (const deviation of deviations) {
+      const learningKey = deviation.learningKey || deviation.objectId;
+      const keyPolicy = policy[learningKey] || {};
+      if (keyPolicy.mutedUntil && Date.parse(keyPolicy.mutedUntil) > now) {
+        continue;
+      }
+      const severity = PRIORITIES.includes(deviation.severity) ? deviation.severity : "medium";
+      const impactBoost = deviation.impact && deviation.impact.eur >= config.tariff.highImpactEur ? 1 : 0;
+      const recommendation = deviation.kind === "recommendation";
       actions.push({
-        id: `${deviation.objectId}-${now}`,
-        category: "deviation",
+        category: recommendation ? "recommendation" : "deviation",
         type: "suggestion",
-        priority: "medium",
-        title: "Abweichung erkannt",
-        description: `Der Wert von ${deviation.objectId} weicht deutlich vom Durchschnitt ab.`,
-        reason: `Aktuell ${deviation.current}, Durchschnitt ${deviation.average}`,
+        deviationType: deviation.type || "",
+        objectId: deviation.objectId,
+        priority: adjustPriority(severity, (keyPolicy.priorityBoost || 0) + impactBoost),
+        title: deviation.title || "Abweichung erkannt",
+        description: deviation.description || `Der Wert von ${deviation.objectId} weicht deutlich ab.`,
+        reason: deviation.reason || "",
+        current: deviation.current === undefined ? null : deviation.current,
+        reference: deviation.reference === undefined ? null : deviation.reference,
+        delta: deviation.delta === undefined ? null : deviation.delta,
         requiresApproval: true,
-        learningKey: deviation.objectId,
-        timestamp: new Date().toISOString(),
-        status: "proposed",
+        urgent: deviation.urgent === true,
+        impact: deviation.impact || null,
+        confidence: typeof deviation.confidence === "number" ? deviation.confidence : null,
+        expiresAt: deviation.expiresAt || null,
+        learningKey,
       });
     }
 
     return actions;
   }
 
+  /**
+   * Gleicht Kandidaten mit dem Speicher ab: bestehende offene Aktionen mit gleichem
+   * learningKey werden aktualisiert statt neu angelegt, veraltete Vorschläge laufen ab
+   * (nach actions.expireHours ohne erneuten Befund bzw. zu ihrem expiresAt).
+   * Liefert die offenen sowie die neu angelegten Aktionen.
+   */
+  function sync(config, candidates) {
+    return exclusive(async () => {
+      const store = await loadStore();
+      const now = Date.now();
+      const timestamp = new Date(now).toISOString();
+      const created = [];
+
+      // Zuerst ablaufen lassen: ein neuer Hinweis (z. B. für morgen) ersetzt dann den von gestern, statt ihn fortzuschreiben.
+      for (const record of store) {
+        if (record.status === "proposed" && record.expiresAt && Date.parse(record.expiresAt) <= now) {
+          transition(record, "expired", { source: "system", timestamp });
+        }
+      }
+
+      for (const candidate of candidates) {
+        const existing = store.find(
+          (record) => record.learningKey === candidate.learningKey && OPEN_STATUSES.includes(record.status),
+        );
+        if (existing) {
+          existing.lastSeenAt = timestamp;
+          existing.occurrences = (existing.occurrences || 1) + 1;
+          // Texte beschreiben den aktuellen Befund (z. B. „heute“, „zu hoch“ bzw. „zu niedrig“) und werden
+          // übernommen, solange sie nicht angereichert wurden; Bewertung und Einstufung gelten immer neu.
+          if (!existing.enrichedBy) {
+            Object.assign(existing, {
+              title: candidate.title,
+              description: candidate.description,
+              reason: candidate.reason,
+              priority: candidate.priority,
+            });
+          }
+          Object.assign(existing, {
+            deviationType: candidate.deviationType,
+            current: candidate.current,
+            reference: candidate.reference,
+            delta: candidate.delta,
+            urgent: candidate.urgent,
+            impact: candidate.impact,
+            confidence: candidate.confidence,
+            expiresAt: candidate.expiresAt,
+          });
+          continue;
+        }
+
+        const record = {
+          ...candidate,
+          id: createId(store, candidate.learningKey, now),
+          status: "proposed",
+          timestamp,
+          createdAt: timestamp,
+          updatedAt: timestamp,
+          lastSeenAt: timestamp,
+          occurrences: 1,
+          transitions: [{ from: null, to: "proposed", ts: timestamp, source: "analysis" }],
+        };
+        store.push(record);
+        created.push(record);
+      }
+
+      const expireBefore = now - config.actions.expireHours * HOUR_MS;
+      for (const record of store) {
+        if (record.status === "proposed" && Date.parse(record.lastSeenAt) < expireBefore) {
+          transition(record, "expired", { source: "system", timestamp });
+        }
+      }
+
+      const retainAfter = now - config.actions.retentionDays * 24 * HOUR_MS;
+      const retained = store.filter(
+        (record) => OPEN_STATUSES.includes(record.status) || Date.parse(record.updatedAt) >= retainAfter,
+      );
+
+      await saveStore(retained);
+      if (created.length) {
+        adapter.log.info(`${created.length} neue Vorschläge angelegt.`);
+      }
+      return { open: openActions(retained), created };
+    });
+  }
+
+  /**
+   * Übernimmt angereicherte Texte (z. B. von GPT) in den Speicher.
+   * Liefert die aktuelle Liste offener Aktionen.
+   */
+  function applyEnrichment(enrichedActions) {
+    return exclusive(async () => {
+      const store = await loadStore();
+      let changed = false;
+      for (const enriched of enrichedActions) {
+        const record = store.find((entry) => entry.id === enriched.id);
+        if (!record || !enriched.enrichedBy) {
+          continue;
+        }
+        Object.assign(record, {
+          title: enriched.title,
+          description: enriched.description,
+          reason: enriched.reason,
+          priority: enriched.priority,
+          enrichedBy: enriched.enrichedBy,
+        });
+        changed = true;
+      }
+      if (changed) {
+        await saveStore(store);
+      }
+      return openActions(store);
+    });
+  }
+
+  /**
+   * Übernimmt eine Nutzerentscheidung für eine Aktion.
+   * Aktualisiert den Speicher und report.actions; isFeedback kennzeichnet Entscheidungen fürs Lernen.
+   */
+  function applyDecision({ actionId, decision, comment = "", source = "unknown", user = "" }) {
+    return exclusive(async () => {
+      const status = DECISION_STATUS[decision];
+      if (!status) {
+        return { ok: false, error: `Unbekannte Entscheidung '${decision}'` };
+      }
+
+      const store = await loadStore();
+      const action = store.find((entry) => entry.id === actionId);
+      if (!action) {
+        return { ok: false, error: `Aktion ${actionId} nicht gefunden` };
+      }
+      if (!TRANSITIONS[action.status] || !TRANSITIONS[action.status].includes(status)) {
+        return { ok: false, error: `Übergang ${action.status} -> ${status} nicht erlaubt` };
+      }
+
+      const timestamp = new Date().toISOString();
+      const statusChanged = action.status !== status;
+      transition(action, status, { source, user, comment, timestamp });
+      action.decidedAt = timestamp;
+      action.decidedBy = user || source;
+      if (comment) {
+        action.modification = comment;
+      }
+      await saveStore(store);
+
+      adapter.log.info(`Aktion ${action.id} wurde ${status} (Quelle: ${source}).`);
+      // Ein nachgereichter Änderungstext zählt nicht als weitere Entscheidung.
+      return { ok: true, action, isFeedback: statusChanged && FEEDBACK_STATUSES.includes(status) };
+    });
+  }
+
+  /**
+   * Stabile, eindeutige ID aus learningKey und Erstellungszeit.
+   */
+  function createId(store, learningKey, now) {
+    const base = `${utils.shortHash(learningKey)}-${now.toString(36)}`;
+    let id = base;
+    for (let suffix = 1; store.some((record) => record.id === id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
+  }
+
+  function adjustPriority(priority, boost) {
+    const index = PRIORITIES.indexOf(priority) + (boost || 0);
+    return PRIORITIES[Math.min(Math.max(index, 0), PRIORITIES.length - 1)];
+  }
+
+  /**
+   * Setzt den Status und protokolliert den Übergang am Datensatz.
+   */
+  function transition(record, status, { source, user = "", comment = "", timestamp }) {
+    record.transitions = record.transitions || [];
+    record.transitions.push({ from: record.status, to: status, ts: timestamp, source, user, comment });
+    record.status = status;
+    record.updatedAt = timestamp;
+  }
+
+  function openActions(store) {
+    return store.filter((record) => OPEN_STATUSES.includes(record.status));
+  }
+
+  /**
+   * Lädt den Speicher; Einträge ohne Lifecycle-Felder (ältere Formate) werden verworfen.
+   */
+  async function loadStore() {
+    const store = await state.getJson("report.actionHistory", []);
+    if (!Array.isArray(store)) {
+      return [];
+    }
+    return store.filter((record) => record && record.id && record.status && Array.isArray(record.transitions));
+  }
+
+  /**
+   * Speichert den Speicher (älteste abgeschlossene Einträge zuerst kürzen) und die offenen Aktionen.
+   */
+  async function saveStore(store) {
+    let excess = store.length - MAX_STORE_ENTRIES;
+    const limited = store.filter((record) => {
+      if (excess > 0 && !OPEN_STATUSES.includes(record.status)) {
+        excess--;
+        return false;
+      }
+      return true;
+    });
+    await state.setJson("report.actionHistory", limited);
+    const open = openActions(limited);
+    await state.setJson("report.actions", open);
+    await state.writeActionCounts(open);
+  }
+
+  /**
+   * Serialisiert Zugriffe auf den Speicher (Analyse und Entscheidungen laufen parallel).
+   */
+  function exclusive(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => undefined);
+    return run;
+  }
+
   return {
     build,
+    sync,
+    applyEnrichment,
+    applyDecision,
   };
 };
@@ -0,0 +1,237 @@
+"use strict";
+
+const createUtils = require("./utils");
+const createSeries = require("./series");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MONTH_DAYS = 30;
+const FLEXIBLE_CATEGORIES = ["energy.wallbox", "energy.heating"];
+
+/**
+ * Energie-Empfehlungen (nur beratend, es wird nichts geschaltet).
+ * Aus dem PV-Überschuss der Historie (Einspeisung je Stunde) wird ein typisches Überschussfenster
+ * abgeleitet; flexible Verbraucher, die außerhalb davon laufen, und ungenutzte Batterieladung
+ * werden mit geschätzter Ersparnis (kWh/€ pro Monat) als Vorschlag gemeldet.
+ */
+module.exports = (adapter) => {
+  const utils = createUtils();
+  const seriesUtils = createSeries();
+
+  /**
+   * Liefert Kennzahlen (Überschussprofil) und Empfehlungen im Format der Abweichungen.
+   */
+  function analyze(config, liveContext, historyData, stats, policy = {}) {
+    const now = Date.now();
+    const summary = { surplusWindow: null, exportProfileKwh: null, surplusNowW: null, flexible: {}, batteryUnusedKwh: null };
+    const recommendations = [];
+    if (!config.advisor.enabled) {
+      return { summary, recommendations };
+    }
+
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const settings = config.advisor;
+    const price = stats && stats.cost ? stats.cost.averagePrice : config.tariff.price;
+    const spread = Math.max(price - config.tariff.feedIn, 0);
+    const window = seriesUtils.longestWindow(historyData, now);
+    const grid = config.dataPoints.find((entry) => entry.enabled && entry.category === "energy.gridPower");
+
+    const add = (key, details) => {
+      const keyPolicy = policy[key] || {};
+      if (keyPolicy.mutedUntil && Date.parse(keyPolicy.mutedUntil) > now) {
+        return;
+      }
+      if (details.impact && details.impact.eur < settings.minSavingEur * (keyPolicy.thresholdFactor || 1)) {
+        return;
+      }
+      recommendations.push({
+        kind: "recommendation",
+        objectId: details.objectId || "",
+        category: details.category || "energy",
+        ruleId: `advisor-${details.type}`,
+        type: details.type,
+        severity: details.impact && details.impact.eur >= settings.minSavingEur * 4 ? "medium" : "low",
+        current: details.current === undefined ? null : details.current,
+        reference: details.reference === undefined ? null : details.reference,
+        delta: null,
+        learningKey: key,
+        title: details.title,
+        description: details.description,
+        reason: details.reason,
+        impact: details.impact || null,
+      });
+    };
+
+    if (!grid || !window) {
+      return { summary, recommendations };
+    }
+
+    // Typische Einspeisung je Stunde (kWh/Tag) und daraus das Überschussfenster.
+    const days = Math.max((window.end - window.start) / DAY_MS, 1);
+    const interpolation = seriesUtils.interpolationFor(window);
+    const exportKwh = hourlyExport(window, grid, timeZone, days);
+    summary.exportProfileKwh = exportKwh.map(round);
+    const surplusWindow = findSurplusWindow(exportKwh, settings.minSurplusW / 1000);
+    summary.surplusWindow = surplusWindow;
+
+    // Momentaufnahme nur im Bericht: als Vorschlag bliebe sie tagelang offen, lange nachdem die Sonne weg ist.
+    const live = seriesUtils.toNumber(liveContext.raw[grid.objectId]);
+    summary.surplusNowW = live !== null && live < 0 ? Math.round(-live * seriesUtils.powerFactorKw(grid.unit) * 1000) : 0;
+
+    if (surplusWindow) {
+      const label = `${pad(surplusWindow.startHour)}–${pad(surplusWindow.endHour)} Uhr`;
+      const inWindow = (ts) => {
+        const hour = utils.zonedParts(ts, timeZone).hour;
+        return hour >= surplusWindow.startHour && hour < surplusWindow.endHour;
+      };
+      let availableKwh = surplusWindow.exportKwh;
+
+      // Flexible Verbraucher, die ihren Strom außerhalb des Fensters beziehen.
+      for (const entry of config.dataPoints) {
+        if (!entry.enabled || !(entry.isFlexible || FLEXIBLE_CATEGORIES.includes(entry.category))) {
+          continue;
+        }
+        const series = window.series[entry.objectId];
+        if (!series || !series.length || seriesUtils.isCumulative(entry)) {
+          continue;
+        }
+        const integral = seriesUtils.integrate(series, { end: window.end, interpolation, include: (ts) => !inWindow(ts) });
+        const outsideKwh = (integral.positive * seriesUtils.powerFactorKw(entry.unit)) / days;
+        const shiftKwh = Math.min(outsideKwh, availableKwh);
+        const flexLabel = entry.description || entry.objectId;
+        summary.flexible[entry.objectId] = { label: flexLabel, outsideWindowKwh: round(outsideKwh), shiftableKwh: round(shiftKwh) };
+        if (shiftKwh <= 0) {
+          continue;
+        }
+        availableKwh -= shiftKwh;
+        add(`${entry.objectId}:loadShift`, {
+          type: "loadShift",
+          objectId: entry.objectId,
+          category: entry.category,
+          current: round(outsideKwh),
+          reference: round(surplusWindow.exportKwh),
+          title: `${flexLabel} in die Sonnenstunden verschieben`,
+          description: `${flexLabel} bezieht täglich ca. ${format(outsideKwh)} kWh außerhalb des PV-Überschusses. Zwischen ${label} werden im Schnitt ${format(
+            surplusWindow.exportKwh,
+          )} kWh eingespeist – Start dorthin verschieben.`,
+          reason: `Überschussfenster aus ${format(days)} Tagen Historie`,
+          impact: monthlyImpact(shiftKwh, spread),
+        });
+      }
+
+      // Ohne gemessene flexible Verbraucher: allgemeiner Hinweis mit typischer Last.
+      if (!Object.keys(summary.flexible).length) {
+        const shiftKwh = Math.min(settings.flexibleLoadKwh, availableKwh);
+        add("advisor:surplusWindow", {
+          type: "surplusWindow",
+          objectId: grid.objectId,
+          current: round(surplusWindow.exportKwh),
+          title: `Flexible Verbraucher zwischen ${label} starten`,
+          description: `Zwischen ${label} werden im Schnitt ${format(
+            surplusWindow.exportKwh,
+          )} kWh eingespeist. Spül-, Waschmaschine oder Trockner mit Startzeitvorwahl in dieses Fenster legen.`,
+          reason: `Annahme ${format(settings.flexibleLoadKwh)} kWh verschiebbare Last pro Tag`,
+          impact: monthlyImpact(shiftKwh, spread),
+        });
+      }
+    }
+
+    // Batterie: Einspeisung, während der Speicher noch nicht voll ist.
+    const soc = config.dataPoints.find((entry) => entry.enabled && entry.category === "energy.batterySoc");
+    if (soc && window.series[soc.objectId] && window.series[soc.objectId].length) {
+      const socPoints = seriesUtils.toPoints(window.series[soc.objectId]);
+      const notFull = (ts) => {
+        const value = seriesUtils.valueAt(socPoints, ts);
+        return value !== null && value < settings.batteryFullSoc;
+      };
+      const unused =
+        (seriesUtils.integrate(window.series[grid.objectId], { end: window.end, interpolation, include: notFull }).negative *
+          seriesUtils.powerFactorKw(grid.unit)) /
+        days;
+      summary.batteryUnusedKwh = round(unused);
+      if (unused >= settings.flexibleLoadKwh / 2) {
+        add(`${soc.objectId}:batteryUnderused`, {
+          type: "batteryUnderused",
+          objectId: soc.objectId,
+          category: soc.category,
+          current: round(unused),
+          reference: settings.batteryFullSoc,
+          title: "Batterie wird trotz PV-Überschuss nicht voll geladen",
+          description: `Täglich werden ca. ${format(unused)} kWh eingespeist, während der Speicher unter ${
+            settings.batteryFullSoc
+          } % liegt. Ladeleistung, Ladefenster oder Einspeiseregelung des Wechselrichters prüfen.`,
+          reason: `Einspeisung bei nicht vollem Speicher (${format(days)} Tage Historie)`,
+          impact: monthlyImpact(unused, spread),
+        });
+      }
+    }
+
+    adapter.log.debug(`Empfehlungen: ${recommendations.length}.`);
+    return { summary, recommendations };
+  }
+
+  /**
+   * Einspeisung je Ortsstunde (0-23) in kWh pro Tag: negativer Anteil des Netz-Integrals, Segmente nach ihrem Mittelpunkt.
+   */
+  function hourlyExport(window, grid, timeZone, days) {
+    const factor = seriesUtils.powerFactorKw(grid.unit);
+    // Ortsstunde je Segment-Mittelpunkt nur einmal bestimmen (24 Durchläufe über dieselben Segmente).
+    const hours = new Map();
+    const hourOf = (ts) => {
+      if (!hours.has(ts)) {
+        hours.set(ts, utils.zonedParts(ts, timeZone).hour);
+      }
+      return hours.get(ts);
+    };
+    const options = { end: window.end, interpolation: seriesUtils.interpolationFor(window) };
+    return Array.from({ length: 24 }, (_, hour) => {
+      const integral = seriesUtils.integrate(window.series[grid.objectId], { ...options, include: (ts) => hourOf(ts) === hour });
+      return (integral.negative * factor) / days;
+    });
+  }
+
+  /**
+   * Längste zusammenhängende Stundenfolge, in der im Mittel mindestens minKw eingespeist wird.
+   */
+  function findSurplusWindow(profile, minKw) {
+    let best = null;
+    let start = null;
+    for (let hour = 0; hour <= 24; hour++) {
+      const active = hour < 24 && profile[hour] >= minKw;
+      if (active && start === null) {
+        start = hour;
+      } else if (!active && start !== null) {
+        const exportKwh = profile.slice(start, hour).reduce((sum, kwh) => sum + kwh, 0);
+        if (!best || exportKwh > best.exportKwh) {
+          best = { startHour: start, endHour: hour, exportKwh: round(exportKwh) };
+        }
+        start = null;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Ersparnis pro Monat: verschobene kWh kosten statt Bezugspreis nur die entgangene Einspeisevergütung.
+   */
+  function monthlyImpact(kwhPerDay, spread) {
+    const kwh = kwhPerDay * MONTH_DAYS;
+    return { kwh: round(kwh), eur: round(kwh * spread), period: "month" };
+  }
+
+  function pad(hour) {
+    return `${String(hour).padStart(2, "0")}:00`;
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function format(value) {
+    return Number(value).toLocaleString("de-DE", { maximumFractionDigits: 1 });
+  }
+
+  return {
+    analyze,
+  };
+};
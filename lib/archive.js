@@ -0,0 +1,274 @@
+"use strict";
+
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const createState = require("./state");
+const createUtils = require("./utils");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INDEX_STATE = "report.archiveIndex";
+const SUMMARY_TYPES = ["weekly", "monthly"];
+const BALANCE_KEYS = ["pvYieldKwh", "gridImportKwh", "gridExportKwh", "consumptionKwh", "selfConsumptionKwh"];
+
+/**
+ * Report-Archiv im Dateispeicher der Instanz (reports/<jahr>/<id>.json.gz).
+ * Jeder Report wird komprimiert abgelegt und in report.archiveIndex verzeichnet; aus den
+ * Tagesreports entstehen nach Abschluss einer Woche bzw. eines Monats Zusammenfassungen.
+ */
+module.exports = (adapter) => {
+  const state = createState(adapter);
+  const utils = createUtils();
+
+  /**
+   * Legt einen Report ab, erzeugt fällige Zusammenfassungen und räumt abgelaufene Dateien auf.
+   * Liefert den Index-Eintrag des Reports (null, wenn deaktiviert oder fehlgeschlagen).
+   * Fehler im Archiv brechen die Analyse nicht ab.
+   */
+  async function store(config, report) {
+    if (!config.archive.enabled) {
+      return null;
+    }
+    try {
+      const timeZone = resolveTimeZone(config);
+      await ensureStorage();
+      const index = await loadIndex();
+
+      const ts = Date.parse(report.timestamp);
+      const date = utils.zonedDateKey(ts, timeZone);
+      // Vom gerenderten Bericht wird nur die Markdown-Fassung mit archiviert.
+      const rendered = report.rendered ? { markdown: report.rendered.markdown } : undefined;
+      const entry = await writeEntry(index, "daily", date, date, ts, { ...report, rendered });
+
+      for (const type of SUMMARY_TYPES) {
+        for (const period of pendingPeriods(index, type, date)) {
+          await summarize(index, type, period, ts);
+        }
+      }
+
+      await cleanup(config, index, ts);
+      await saveIndex(index);
+      return entry;
+    } catch (error) {
+      adapter.log.warn(`Report konnte nicht archiviert werden: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Liest einen archivierten Report: per id, per Datum (letzter Report des Tages bzw.
+   * Zusammenfassung, deren Zeitraum das Datum enthält) oder ohne Angabe den neuesten.
+   */
+  async function getReport(query = {}) {
+    const index = await loadIndex();
+    const type = query.type || "daily";
+    let entry = null;
+    if (query.id) {
+      entry = index.find((item) => item.id === query.id);
+    } else if (query.date) {
+      const date = String(query.date).slice(0, 10);
+      const key = type === "daily" ? date : periodKey(type, date);
+      entry = index.find((item) => item.type === type && item.period === key);
+    } else {
+      entry = index.find((item) => item.type === type);
+    }
+    if (!entry) {
+      return { ok: false, error: "Kein archivierter Report gefunden" };
+    }
+    return { ok: true, entry, report: await readEntry(entry) };
+  }
+
+  /**
+   * Zusammenfassung eines Zeitraums aus dem jeweils letzten Report je Tag.
+   * Energie aus der 24h-Bilanz, Kosten und Wasser aus den Vortageswerten (je Kalendertag einmal).
+   */
+  async function summarize(index, type, period, ts) {
+    const dailies = index
+      .filter((item) => item.type === "daily" && periodKey(type, item.date) === period)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    const lastPerDay = new Map();
+    for (const item of dailies) {
+      if (!lastPerDay.has(item.date)) {
+        lastPerDay.set(item.date, item);
+      }
+    }
+
+    const summary = {
+      type,
+      period,
+      from: [...lastPerDay.keys()].sort()[0],
+      to: [...lastPerDay.keys()].sort().pop(),
+      timestamp: new Date(ts).toISOString(),
+      days: lastPerDay.size,
+      energy: {},
+      autarkyAverage: null,
+      cost: { net: null, savings: null, days: 0 },
+      water: {},
+      actions: { distinct: 0, urgent: 0, top: [] },
+    };
+    const costDays = new Set();
+    const autarky = [];
+    const actions = new Map();
+
+    for (const item of lastPerDay.values()) {
+      let report;
+      try {
+        report = await readEntry(item);
+      } catch (error) {
+        adapter.log.warn(`Archiv: ${item.file} nicht lesbar: ${error.message}`);
+        continue;
+      }
+      const stats = report.stats || {};
+      const balance = stats.balance || {};
+      for (const key of BALANCE_KEYS) {
+        if (typeof balance[key] === "number") {
+          summary.energy[key] = round((summary.energy[key] || 0) + balance[key]);
+        }
+      }
+      if (typeof balance.autarky === "number") {
+        autarky.push(balance.autarky);
+      }
+
+      const yesterday = stats.cost && stats.cost.yesterday;
+      const costDate = new Date(Date.parse(`${item.date}T12:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+      if (yesterday && yesterday.net !== null && !costDays.has(costDate)) {
+        costDays.add(costDate);
+        summary.cost.net = round((summary.cost.net || 0) + yesterday.net);
+        summary.cost.savings = round((summary.cost.savings || 0) + (yesterday.savings || 0));
+      }
+
+      const meters = (stats.water && stats.water.analysis && stats.water.analysis.meters) || {};
+      for (const [objectId, meter] of Object.entries(meters)) {
+        if (typeof meter.yesterdayLiters === "number") {
+          const total = summary.water[objectId] || { label: meter.label || objectId, liters: 0 };
+          total.liters = round(total.liters + meter.yesterdayLiters);
+          summary.water[objectId] = total;
+        }
+      }
+
+      for (const action of report.actions || []) {
+        const known = actions.get(action.id) || { title: action.title, priority: action.priority, urgent: action.urgent === true, days: 0 };
+        known.days++;
+        actions.set(action.id, known);
+      }
+    }
+
+    summary.cost.days = costDays.size;
+    summary.autarkyAverage = autarky.length ? round(autarky.reduce((sum, val) => sum + val, 0) / autarky.length) : null;
+    summary.actions.distinct = actions.size;
+    summary.actions.urgent = [...actions.values()].filter((action) => action.urgent).length;
+    summary.actions.top = [...actions.values()].sort((a, b) => b.days - a.days).slice(0, 5);
+
+    await writeEntry(index, type, period, summary.to, ts, summary);
+    adapter.log.info(`Archiv: ${type === "weekly" ? "Wochen" : "Monats"}zusammenfassung ${period} aus ${summary.days} Tagen erstellt.`);
+  }
+
+  /**
+   * Abgeschlossene Zeiträume mit Tagesreports, für die noch keine Zusammenfassung existiert.
+   */
+  function pendingPeriods(index, type, date) {
+    const current = periodKey(type, date);
+    const done = new Set(index.filter((item) => item.type === type).map((item) => item.period));
+    const periods = new Set(index.filter((item) => item.type === "daily").map((item) => periodKey(type, item.date)));
+    return [...periods].filter((period) => period < current && !done.has(period)).sort();
+  }
+
+  /**
+   * Entfernt Tagesreports nach retentionDays, Zusammenfassungen nach summaryRetentionDays.
+   */
+  async function cleanup(config, index, now) {
+    const limits = {
+      daily: now - config.archive.retentionDays * DAY_MS,
+      weekly: now - config.archive.summaryRetentionDays * DAY_MS,
+      monthly: now - config.archive.summaryRetentionDays * DAY_MS,
+    };
+    for (let position = index.length - 1; position >= 0; position--) {
+      const item = index[position];
+      if (Date.parse(item.timestamp) >= limits[item.type]) {
+        continue;
+      }
+      try {
+        await adapter.delFileAsync(adapter.namespace, item.file);
+      } catch (error) {
+        adapter.log.debug(`Archiv: ${item.file} konnte nicht gelöscht werden: ${error.message}`);
+      }
+      index.splice(position, 1);
+    }
+  }
+
+  async function writeEntry(index, type, period, date, ts, content) {
+    const stamp = new Date(ts).toISOString().replace(/[-:]/g, "").slice(0, 15);
+    const id = type === "daily" ? `daily-${stamp}` : `${type}-${period}`;
+    const file = `reports/${date.slice(0, 4)}/${id}.json.gz`;
+    const data = await gzip(Buffer.from(JSON.stringify(content)));
+    await adapter.writeFileAsync(adapter.namespace, file, data);
+
+    const entry = { id, type, period, date, timestamp: new Date(ts).toISOString(), file, bytes: data.length };
+    const existing = index.findIndex((item) => item.id === id);
+    if (existing >= 0) {
+      index.splice(existing, 1);
+    }
+    index.unshift(entry);
+    index.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return entry;
+  }
+
+  async function readEntry(entry) {
+    const result = await adapter.readFileAsync(adapter.namespace, entry.file);
+    const data = result && result.file !== undefined ? result.file : result;
+    return JSON.parse((await gunzip(Buffer.from(data))).toString("utf8"));
+  }
+
+  /**
+   * Der Dateispeicher einer Instanz benötigt ein meta-Objekt mit der Instanz-ID.
+   */
+  async function ensureStorage() {
+    await adapter.setForeignObjectNotExistsAsync(adapter.namespace, {
+      type: "meta",
+      common: { name: "Report-Archiv", type: "meta.user" },
+      native: {},
+    });
+  }
+
+  async function loadIndex() {
+    const index = await state.getJson(INDEX_STATE, []);
+    return Array.isArray(index) ? index.filter((item) => item && item.id && item.file) : [];
+  }
+
+  async function saveIndex(index) {
+    await state.setJson(INDEX_STATE, index);
+  }
+
+  /**
+   * Schlüssel des Zeitraums zu einem Datum: Tag, ISO-Woche (2024-W07) oder Monat (2024-02).
+   */
+  function periodKey(type, date) {
+    if (type === "monthly") {
+      return date.slice(0, 7);
+    }
+    if (type === "weekly") {
+      const day = new Date(`${date}T00:00:00Z`);
+      const weekday = (day.getUTCDay() + 6) % 7;
+      const thursday = new Date(day.getTime() + (3 - weekday) * DAY_MS);
+      const week = Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / DAY_MS / 7) + 1;
+      return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+    }
+    return date;
+  }
+
+  function resolveTimeZone(config) {
+    return utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  return {
+    store,
+    getReport,
+  };
+};
@@ -0,0 +1,194 @@
+"use strict";
+
+const createSeries = require("./series");
+
+/**
+ * Numerische States der Bilanz (Schlüssel im Ergebnis -> State unter stats.energy).
+ */
+const BALANCE_STATES = {
+  pvYieldKwh: "pvYield",
+  gridImportKwh: "gridImport",
+  gridExportKwh: "gridExport",
+  consumptionKwh: "consumption",
+  selfConsumptionKwh: "selfConsumption",
+  selfConsumptionRatio: "selfConsumptionRatio",
+  autarky: "autarky",
+  batteryThroughputKwh: "batteryThroughput",
+  unmeasuredKwh: "unmeasured",
+};
+
+/**
+ * Energiebilanz aus den Datenpunkt-Flags (includeInBalance, isSource, isConsumer, isTotalMeter).
+ * Netz (energy.gridPower) ist vorzeichenbehaftet: positiv = Bezug, negativ = Einspeisung.
+ * Batterie (energy.batteryPower): positiv = Laden, negativ = Entladen.
+ */
+module.exports = (adapter) => {
+  const seriesUtils = createSeries();
+
+  /**
+   * Integriert die Leistung aller Bilanzpunkte über das 24h-Historienfenster.
+   */
+  function compute(config, historyData) {
+    const balance = {
+      pvYieldKwh: 0,
+      gridImportKwh: null,
+      gridExportKwh: null,
+      batteryChargeKwh: null,
+      batteryDischargeKwh: null,
+      batteryThroughputKwh: null,
+      consumptionKwh: null,
+      measuredConsumptionKwh: null,
+      derivedConsumptionKwh: null,
+      selfConsumptionKwh: null,
+      selfConsumptionRatio: null,
+      autarky: null,
+      consumersKwh: null,
+      unmeasuredKwh: null,
+      consumers: {},
+      points: {},
+    };
+
+    const end = Date.now();
+    const interpolation = seriesUtils.interpolationFor(historyData);
+    let hasSource = false;
+    for (const entry of config.dataPoints) {
+      if (!entry.enabled || !entry.includeInBalance) {
+        continue;
+      }
+      const energy = integrate(entry, historyData, end, interpolation);
+      if (!energy) {
+        continue;
+      }
+      const label = entry.description || entry.objectId;
+
+      if (entry.category === "energy.gridPower") {
+        balance.gridImportKwh = add(balance.gridImportKwh, energy.positiveKwh);
+        balance.gridExportKwh = add(balance.gridExportKwh, energy.negativeKwh);
+        balance.points[entry.objectId] = { label, role: "grid", kwh: round(energy.positiveKwh - energy.negativeKwh) };
+      } else if (entry.category === "energy.batteryPower") {
+        balance.batteryChargeKwh = add(balance.batteryChargeKwh, energy.positiveKwh);
+        balance.batteryDischargeKwh = add(balance.batteryDischargeKwh, energy.negativeKwh);
+        balance.points[entry.objectId] = { label, role: "battery", kwh: round(energy.positiveKwh - energy.negativeKwh) };
+      } else if (entry.isSource) {
+        hasSource = true;
+        balance.pvYieldKwh += energy.positiveKwh;
+        balance.points[entry.objectId] = { label, role: "source", kwh: round(energy.positiveKwh) };
+      } else if (entry.isTotalMeter) {
+        balance.measuredConsumptionKwh = add(balance.measuredConsumptionKwh, energy.positiveKwh);
+        balance.points[entry.objectId] = { label, role: "total", kwh: round(energy.positiveKwh) };
+      } else if (entry.isConsumer) {
+        balance.consumersKwh = add(balance.consumersKwh, energy.positiveKwh);
+        balance.consumers[entry.objectId] = { label, kwh: round(energy.positiveKwh) };
+        balance.points[entry.objectId] = { label, role: "consumer", kwh: round(energy.positiveKwh) };
+      }
+    }
+
+    if (!hasSource) {
+      balance.pvYieldKwh = null;
+    }
+
+    if (balance.batteryChargeKwh !== null) {
+      balance.batteryThroughputKwh = balance.batteryChargeKwh + balance.batteryDischargeKwh;
+    }
+
+    if (balance.gridImportKwh !== null) {
+      balance.derivedConsumptionKwh =
+        balance.gridImportKwh -
+        balance.gridExportKwh +
+        (balance.pvYieldKwh || 0) +
+        (balance.batteryDischargeKwh || 0) -
+        (balance.batteryChargeKwh || 0);
+    }
+    balance.consumptionKwh =
+      balance.measuredConsumptionKwh !== null ? balance.measuredConsumptionKwh : balance.derivedConsumptionKwh;
+
+    if (balance.pvYieldKwh !== null && balance.gridExportKwh !== null) {
+      balance.selfConsumptionKwh = Math.max(balance.pvYieldKwh - balance.gridExportKwh, 0);
+      balance.selfConsumptionRatio = balance.pvYieldKwh > 0 ? (balance.selfConsumptionKwh / balance.pvYieldKwh) * 100 : null;
+    }
+    if (balance.consumptionKwh && balance.gridImportKwh !== null) {
+      balance.autarky = clamp(((balance.consumptionKwh - balance.gridImportKwh) / balance.consumptionKwh) * 100, 0, 100);
+    }
+    if (balance.consumptionKwh !== null && balance.consumersKwh !== null) {
+      balance.unmeasuredKwh = balance.consumptionKwh - balance.consumersKwh;
+    }
+
+    for (const key of Object.keys(balance)) {
+      if (typeof balance[key] === "number") {
+        balance[key] = round(balance[key]);
+      }
+    }
+    return balance;
+  }
+
+  /**
+   * Schreibt die Bilanz in die numerischen States unter stats.energy.
+   */
+  async function persist(balance) {
+    for (const [key, stateKey] of Object.entries(BALANCE_STATES)) {
+      const value = balance ? balance[key] : null;
+      await adapter.setStateAsync(`stats.energy.${stateKey}`, value === undefined ? null : value, true);
+    }
+  }
+
+  /**
+   * Energie eines Datenpunkts in kWh, getrennt nach positivem und negativem Anteil.
+   * Leistungen (W/kW) werden ab Fensterbeginn integriert (Treppe bzw. Trapezregel, siehe series.js) –
+   * dafür genügt auch ein einzelner Punkt. Zählerstände (Wh/kWh) werden über ihren Zuwachs
+   * inkl. Reset- und Überlauf-Erkennung ausgewertet.
+   */
+  function integrate(entry, historyData, end, interpolation) {
+    const series = historyData.series[entry.objectId];
+    if (!series || !series.length) {
+      return null;
+    }
+
+    const energyFactor = seriesUtils.energyFactorKwh(entry.unit);
+    if (energyFactor !== null) {
+      const counter = seriesUtils.counterDelta(series, { rollover: entry.counterMax });
+      return counter ? { positiveKwh: counter.delta * energyFactor, negativeKwh: 0 } : null;
+    }
+
+    const powerFactor = seriesUtils.powerFactorKw(entry.unit);
+    const integral = seriesUtils.integrate(seriesFromStart(historyData, entry.objectId), { end, interpolation });
+    return { positiveKwh: integral.positive * powerFactor, negativeKwh: integral.negative * powerFactor };
+  }
+
+  /**
+   * 24h-Reihe ab Fensterbeginn: Bei onchange-Daten fehlt sonst die Zeit vor der ersten Änderung.
+   * Der dann gültige Wert ist der letzte Punkt davor aus einem der (längeren) Fenster.
+   */
+  function seriesFromStart(historyData, objectId) {
+    const points = seriesUtils.toPoints(historyData.series[objectId]);
+    const start = historyData.start;
+    if (!points.length || !Number.isFinite(start) || points[0].ts <= start) {
+      return points;
+    }
+    let before = null;
+    for (const window of Object.values(historyData.windows || {})) {
+      for (const point of seriesUtils.toPoints(window.series[objectId])) {
+        if (point.ts < start && (!before || point.ts > before.ts)) {
+          before = point;
+        }
+      }
+    }
+    return before ? [{ ts: start, val: before.val }, ...points] : points;
+  }
+
+  function add(total, value) {
+    return (total || 0) + value;
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  function round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  return {
+    compute,
+    persist,
+  };
+};
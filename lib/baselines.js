@@ -0,0 +1,105 @@
+"use strict";
+
+const createUtils = require("./utils");
+const createSeries = require("./series");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_SLOT_FACTOR = 3;
+const MAD_SCALE = 1.4826;
+const MIN_SCALE_SHARE = 0.05;
+const MIN_SCALE = 1e-6;
+
+/**
+ * Gelernte Tages- und Wochenprofile je Datenpunkt (memory.learning.baselines).
+ * Für jede abgeschlossene Stunde wird der Mittelwert im Slot Wochentag+Stunde und im Slot
+ * Stunde gespeichert (Ringpuffer). Jeder Lauf ergänzt nur die neuen Stunden, so wächst das
+ * Profil über Wochen, ohne dass die Historie erneut abgefragt werden muss.
+ */
+module.exports = (adapter) => {
+  const utils = createUtils();
+  const seriesUtils = createSeries();
+
+  /**
+   * Ergänzt die Profile um die Stunden seit dem letzten Lauf (aus dem längsten aktuellen Fenster).
+   * memory.baselines[objectId] = { lastTs, week: { "1-08": [...] }, day: { "8": [...] } }.
+   */
+  function update(config, historyData, memory = {}) {
+    const now = Date.now();
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const weekLimit = config.analysis.baselineWeeks;
+    const hourEnd = Math.floor(now / HOUR_MS) * HOUR_MS;
+    const window = seriesUtils.longestWindow(historyData, now);
+    const interpolation = seriesUtils.interpolationFor(window);
+    const known = memory.baselines || {};
+    const baselines = {};
+    let added = 0;
+
+    for (const entry of config.dataPoints) {
+      if (!entry.enabled || entry.category === "leak" || seriesUtils.isCumulative(entry)) {
+        continue;
+      }
+      const baseline = known[entry.objectId] || { lastTs: 0, week: {}, day: {} };
+      baselines[entry.objectId] = baseline;
+      const series = window ? window.series[entry.objectId] : null;
+      if (!series || !series.length) {
+        continue;
+      }
+      const start = Math.max(baseline.lastTs, window.start);
+      for (const hour of seriesUtils.hourlyAverages(series, { start, end: hourEnd, interpolation })) {
+        const parts = utils.zonedParts(hour.ts + HOUR_MS / 2, timeZone);
+        push(baseline.week, `${parts.weekday}-${parts.hour}`, round(hour.val), weekLimit);
+        push(baseline.day, String(parts.hour), round(hour.val), weekLimit * DAY_SLOT_FACTOR);
+        added++;
+      }
+      baseline.lastTs = Math.max(baseline.lastTs, hourEnd);
+    }
+
+    adapter.log.debug(`Profile: ${added} Stundenwerte gelernt.`);
+    return { ...memory, baselines };
+  }
+
+  /**
+   * Erwartung für einen Zeitpunkt: Median und MAD des Wochen-Slots, bei zu wenig Werten des Stunden-Slots.
+   * scale ist die robuste Standardabweichung (1,4826 × MAD), nach unten begrenzt durch 5 % des
+   * Medians bzw. der Tagesspanne, damit konstante Verläufe nicht bei jeder Kleinigkeit auslösen.
+   * Bei durchgehend 0 greift eine absolute Untergrenze (MIN_SCALE), damit scale nie 0 wird.
+   */
+  function lookup(config, memory, objectId, ts) {
+    const baseline = memory && memory.baselines ? memory.baselines[objectId] : null;
+    if (!baseline) {
+      return null;
+    }
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const parts = utils.zonedParts(ts, timeZone);
+    const minSamples = config.analysis.baselineMinSamples;
+    const week = baseline.week[`${parts.weekday}-${parts.hour}`] || [];
+    const day = baseline.day[String(parts.hour)] || [];
+    const profile = week.length >= minSamples ? "week" : day.length >= minSamples ? "day" : null;
+    if (!profile) {
+      return null;
+    }
+
+    const samples = profile === "week" ? week : day;
+    const center = utils.median(samples);
+    const mad = utils.median(samples.map((value) => Math.abs(value - center)));
+    const hourMedians = Object.values(baseline.day).filter((values) => values.length).map(utils.median);
+    const span = hourMedians.length ? Math.max(...hourMedians) - Math.min(...hourMedians) : 0;
+    const scale = Math.max(MAD_SCALE * mad, MIN_SCALE_SHARE * Math.max(Math.abs(center), span), MIN_SCALE);
+    return { profile, median: center, mad: round(mad), scale, samples: samples.length };
+  }
+
+  function push(slots, key, value, limit) {
+    const values = slots[key] || [];
+    values.push(value);
+    slots[key] = values.slice(-limit);
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  return {
+    update,
+    lookup,
+  };
+};
@@ -0,0 +1,301 @@
+"use strict";
+
+const createUtils = require("./utils");
+const createSeries = require("./series");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const MAX_HEATING_DAYS = 365;
+const MIN_HEATING_DAYS = 7;
+const SOUTH_ORIENTATIONS = /^(s|se|sw|so|süd|sued|south)$/i;
+
+/**
+ * Raumklima und Heizeffizienz.
+ * Pro Raum: Komfortband, schnelle Abkühlung (Fenster offen) und Sonneneintrag bei Südausrichtung.
+ * Für das Haus: Heizgradtage (G20/15) aus der Außentemperatur und Heizenergie je Gradtag im Zeitverlauf.
+ */
+module.exports = (adapter) => {
+  const utils = createUtils();
+  const seriesUtils = createSeries();
+
+  /**
+   * Wertet Räume und Heizung aus.
+   * memory enthält die gespeicherten Heiztage ({ date, hdd, heatingKwh }) aus memory.climate.
+   * Liefert Kennzahlen, typisierte Abweichungen und den aktualisierten Speicher.
+   */
+  function analyze(config, liveContext, historyData, stats, memory = {}, policy = {}) {
+    const now = Date.now();
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const isNight = utils.createNightMatcher(config.analysis.nightStart, config.analysis.nightEnd, timeZone);
+    const climate = config.climate;
+    const interpolation = seriesUtils.interpolationFor(historyData);
+    const deviations = [];
+    const summary = { rooms: {}, heating: null };
+
+    const report = (entry, type, severity, details) => {
+      const learningKey = `${entry.objectId}:${type}`;
+      const keyPolicy = policy[learningKey] || {};
+      if (keyPolicy.mutedUntil && Date.parse(keyPolicy.mutedUntil) > now) {
+        return;
+      }
+      deviations.push({
+        objectId: entry.objectId,
+        category: entry.category,
+        ruleId: `climate-${type}`,
+        type,
+        severity,
+        current: details.current === undefined ? null : details.current,
+        reference: details.reference === undefined ? null : details.reference,
+        delta: details.delta === undefined ? null : details.delta,
+        learningKey,
+        title: details.title,
+        description: details.description,
+        reason: details.reason,
+      });
+    };
+
+    const heating = analyzeHeating(config, stats, memory, policy, now);
+    summary.heating = heating.summary;
+    const heatingSeason = heating.summary.outsideAverage === null || heating.summary.outsideAverage < climate.heatingLimit;
+
+    for (const entry of config.dataPoints) {
+      if (!entry.enabled || entry.category !== "room") {
+        continue;
+      }
+      const points = seriesUtils.toPoints(historyData.series[entry.objectId]);
+      const current = seriesUtils.toNumber(liveContext.raw[entry.objectId]);
+      const label = entry.description || entry.objectId;
+      const south = SOUTH_ORIENTATIONS.test(String(entry.orientation || "").trim());
+      const isDay = (ts) => !isNight(ts);
+
+      const room = {
+        label,
+        orientation: entry.orientation || "",
+        current,
+        average: roundOrNull(seriesUtils.timeWeightedAverage(points, { end: now, interpolation })),
+        minutesBelow: Math.round(minutesWhere(points, now, (val, ts) => isDay(ts) && val < climate.comfortMin)),
+        minutesAbove: Math.round(minutesWhere(points, now, (val, ts) => isDay(ts) && val > climate.comfortMax)),
+        fastCooling: findFastCooling(points, climate.windowDropK, climate.windowDropMinutes * MINUTE_MS),
+        solarGainK: south ? middayRise(points, timeZone) : null,
+      };
+      summary.rooms[entry.objectId] = room;
+
+      // Sonneneintrag: Südräume, die mittags deutlich zulegen, überhitzen durch die Sonne, nicht durch die Heizung.
+      const solarGain = room.solarGainK !== null && room.solarGainK >= climate.solarGainK;
+      if (room.minutesAbove >= climate.comfortMinutes) {
+        report(entry, solarGain ? "solarGain" : "comfortHigh", "low", {
+          current: room.average,
+          reference: climate.comfortMax,
+          delta: room.minutesAbove,
+          title: solarGain ? "Überhitzung durch Sonneneinstrahlung" : "Raum zu warm",
+          description: solarGain
+            ? `${label} (Südseite) lag ${room.minutesAbove} min über ${climate.comfortMax} °C und erwärmte sich mittags um ${format(
+                room.solarGainK,
+              )} K. Tagsüber beschatten, Heizung in der Mittagszeit absenken.`
+            : `${label} lag tagsüber ${room.minutesAbove} min über ${climate.comfortMax} °C. Heizkurve oder Thermostat prüfen.`,
+          reason: `Komfortband ${climate.comfortMin}-${climate.comfortMax} °C`,
+        });
+      }
+      if (room.minutesBelow >= climate.comfortMinutes) {
+        report(entry, "comfortLow", "medium", {
+          current: room.average,
+          reference: climate.comfortMin,
+          delta: room.minutesBelow,
+          title: "Raum zu kalt",
+          description: `${label} lag tagsüber ${room.minutesBelow} min unter ${climate.comfortMin} °C. Heizkörper, Thermostat und Fenster prüfen.`,
+          reason: `Komfortband ${climate.comfortMin}-${climate.comfortMax} °C`,
+        });
+      }
+      if (room.fastCooling && heatingSeason) {
+        const at = new Date(room.fastCooling.ts).toLocaleTimeString("de-DE", { timeZone, hour: "2-digit", minute: "2-digit" });
+        report(entry, "windowOpen", "medium", {
+          current: room.fastCooling.drop,
+          reference: climate.windowDropK,
+          delta: room.fastCooling.events,
+          title: "Fenster offen während der Heizperiode?",
+          description: `${label} kühlte um ${at} Uhr innerhalb von ${climate.windowDropMinutes} min um ${format(
+            room.fastCooling.drop,
+          )} K ab (${room.fastCooling.events}× in 24 h). Beim Lüften Heizkörper-Thermostat herunterdrehen, Fenster nicht gekippt lassen.`,
+          reason: `Temperaturabfall ≥ ${climate.windowDropK} K in ${climate.windowDropMinutes} min`,
+        });
+      }
+    }
+
+    if (heating.deviation) {
+      deviations.push(heating.deviation);
+    }
+    adapter.log.debug(`Klima-Analyse: ${Object.keys(summary.rooms).length} Räume, ${deviations.length} Auffälligkeiten.`);
+    return { summary, deviations, memory: heating.memory };
+  }
+
+  /**
+   * Heizgradtage des Vortags (G20/15: 20 °C minus Tagesmittel, nur unter der Heizgrenze)
+   * und Heizenergie (energy.heating) je Gradtag im Vergleich zum bisherigen Median.
+   */
+  function analyzeHeating(config, stats, memory, policy, now) {
+    const climate = config.climate;
+    const periods = (stats && stats.periods) || {};
+    const outside = config.dataPoints.find((entry) => entry.enabled && entry.category === "temperature.outside");
+    const heaters = config.dataPoints.filter((entry) => entry.enabled && entry.category === "energy.heating");
+
+    const outsideAverage = outside && periods[outside.objectId] ? periods[outside.objectId].yesterday : null;
+    const hdd = outsideAverage === null ? null : outsideAverage < climate.heatingLimit ? round(climate.indoorBase - outsideAverage) : 0;
+
+    let heatingKwh = null;
+    for (const entry of heaters) {
+      const period = periods[entry.objectId];
+      if (!period || period.yesterday === null) {
+        continue;
+      }
+      // Zähler liefern den Verbrauch in ihrer Einheit, Leistungen bereits kWh.
+      const factor = period.metric === "consumption" ? seriesUtils.energyFactorKwh(entry.unit) || 1 : 1;
+      heatingKwh = (heatingKwh || 0) + period.yesterday * factor;
+    }
+
+    const days = Array.isArray(memory.heatingDays) ? memory.heatingDays : [];
+    const date = yesterdayKey(config);
+    const history = days.filter((day) => day.date !== date);
+    if (hdd !== null) {
+      history.push({ date, hdd, heatingKwh: heatingKwh === null ? null : round(heatingKwh) });
+    }
+    const updated = { ...memory, heatingDays: history.slice(-MAX_HEATING_DAYS) };
+
+    const samples = updated.heatingDays.filter((day) => day.hdd > 0 && day.heatingKwh !== null);
+    const ratios = samples.filter((day) => day.date !== date).map((day) => day.heatingKwh / day.hdd);
+    const summary = {
+      date,
+      outsideAverage: roundOrNull(outsideAverage),
+      hdd,
+      heatingKwh: roundOrNull(heatingKwh),
+      kwhPerHdd: hdd && heatingKwh !== null ? round(heatingKwh / hdd) : null,
+      baselineKwhPerHdd: ratios.length >= MIN_HEATING_DAYS ? round(utils.median(ratios.slice(-30))) : null,
+      correlation: samples.length >= MIN_HEATING_DAYS ? roundOrNull(pearson(samples.map((d) => d.hdd), samples.map((d) => d.heatingKwh))) : null,
+      days: samples.length,
+    };
+
+    const keyPolicy = policy["heating:efficiency"] || {};
+    const muted = keyPolicy.mutedUntil && Date.parse(keyPolicy.mutedUntil) > now;
+    const limit = summary.baselineKwhPerHdd * climate.efficiencyFactor * (keyPolicy.thresholdFactor || 1);
+    let deviation = null;
+    if (!muted && summary.kwhPerHdd !== null && summary.baselineKwhPerHdd && summary.kwhPerHdd > limit) {
+      deviation = {
+        objectId: heaters.length === 1 ? heaters[0].objectId : "",
+        category: "energy.heating",
+        ruleId: "climate-heatingEfficiency",
+        type: "heatingEfficiency",
+        severity: "medium",
+        current: summary.kwhPerHdd,
+        reference: summary.baselineKwhPerHdd,
+        delta: round(summary.kwhPerHdd - summary.baselineKwhPerHdd),
+        learningKey: "heating:efficiency",
+        title: "Heizung arbeitet ineffizienter",
+        description: `Gestern wurden ${format(summary.kwhPerHdd)} kWh je Heizgradtag verbraucht, üblich sind ${format(
+          summary.baselineKwhPerHdd,
+        )} kWh. Heizkurve, Fenster und Dämmung prüfen.`,
+        reason: `${format(summary.heatingKwh)} kWh bei ${format(hdd)} Gradtagen (Außen Ø ${format(outsideAverage)} °C)`,
+      };
+    }
+    return { summary, memory: updated, deviation };
+  }
+
+  /**
+   * Minuten im 24h-Fenster, in denen die Bedingung erfüllt war (Wert gilt bis zum nächsten Punkt).
+   */
+  function minutesWhere(points, end, condition) {
+    let total = 0;
+    for (let index = 0; index < points.length; index++) {
+      const point = points[index];
+      const until = index + 1 < points.length ? points[index + 1].ts : end;
+      if (condition(point.val, (point.ts + until) / 2)) {
+        total += Math.max(until - point.ts, 0);
+      }
+    }
+    return total / MINUTE_MS;
+  }
+
+  /**
+   * Sucht Abkühlungen um mindestens dropK innerhalb von windowMs (typisch für offene Fenster).
+   * Liefert das stärkste Ereignis und die Anzahl der Ereignisse.
+   */
+  function findFastCooling(points, dropK, windowMs) {
+    let strongest = null;
+    let events = 0;
+    let lastEventTs = -Infinity;
+    for (let index = 1; index < points.length; index++) {
+      const point = points[index];
+      let peak = point.val;
+      for (let back = index - 1; back >= 0 && point.ts - points[back].ts <= windowMs; back--) {
+        peak = Math.max(peak, points[back].val);
+      }
+      const drop = peak - point.val;
+      if (drop < dropK) {
+        continue;
+      }
+      // Ein Lüftungsvorgang zählt nur einmal.
+      if (point.ts - lastEventTs > windowMs) {
+        events++;
+      }
+      lastEventTs = point.ts;
+      if (!strongest || drop > strongest.drop) {
+        strongest = { ts: point.ts, drop: round(drop) };
+      }
+    }
+    return strongest ? { ...strongest, events } : null;
+  }
+
+  /**
+   * Temperaturanstieg zwischen 10 und 16 Uhr (Ortszeit) am letzten Tag mit Daten.
+   */
+  function middayRise(points, timeZone) {
+    const midday = points.filter((point) => {
+      const hour = utils.zonedParts(point.ts, timeZone).hour;
+      return hour >= 10 && hour < 16;
+    });
+    if (midday.length < 2) {
+      return null;
+    }
+    const lastDay = utils.zonedDateKey(midday[midday.length - 1].ts, timeZone);
+    const day = midday.filter((point) => utils.zonedDateKey(point.ts, timeZone) === lastDay);
+    if (day.length < 2) {
+      return null;
+    }
+    return round(Math.max(...day.map((point) => point.val)) - day[0].val);
+  }
+
+  function yesterdayKey(config) {
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const todayStart = utils.zonedDayStart(Date.now(), timeZone);
+    return utils.zonedDateKey(todayStart - HOUR_MS, timeZone);
+  }
+
+  function pearson(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+    for (let index = 0; index < n; index++) {
+      cov += (xs[index] - meanX) * (ys[index] - meanY);
+      varX += (xs[index] - meanX) ** 2;
+      varY += (ys[index] - meanY) ** 2;
+    }
+    return varX && varY ? cov / Math.sqrt(varX * varY) : null;
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function roundOrNull(value) {
+    return value === null || value === undefined ? null : round(value);
+  }
+
+  function format(value) {
+    return Number(value).toLocaleString("de-DE", { maximumFractionDigits: 1 });
+  }
+
+  return {
+    analyze,
+  };
+};
@@ -1,21 +1,40 @@
 "use strict";
 
+const DEFAULT_GPT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_REPORT_SECTIONS = "summary,energy,cost,forecast,devices,advisor,water,climate,actions,dataQuality,warnings";
+const DEFAULT_TEXT_SECTIONS = "summary,energy,cost";
+
 /**
  * Konfiguration normalisieren.
  * Verhindert undefinierte Felder und sorgt für saubere Defaults.
  */
 module.exports = (adapter) => {
   /**
-   * Liefert eine normalisierte Konfiguration aus native.
+   * Liefert eine normalisierte Konfiguration aus native
+   * (ohne Angabe die gespeicherte Konfiguration der Instanz).
    */
-  function normalize() {
-    const native = adapter.config || {};
+  function normalize(source) {
+    const native = source || adapter.config || {};
 
     const dataPoints = Array.isArray(native.dataPoints) ? native.dataPoints : [];
+    const rules = Array.isArray(native.rules) ? native.rules : [];
     const history = native.history || {};
     const telegram = native.telegram || {};
     const gpt = native.gpt || {};
     const scheduler = native.scheduler || {};
+    const actions = native.actions || {};
+    const learning = native.learning || {};
+    const analysis = native.analysis || {};
+    const live = native.live || {};
+    const water = native.water || {};
+    const climate = native.climate || {};
+    const tariff = native.tariff || {};
+    const advisor = native.advisor || {};
+    const profiles = native.profiles || {};
+    const forecast = native.forecast || {};
+    const quality = native.quality || {};
+    const report = native.report || {};
+    const archive = native.archive || {};
 
     return {
       dataPoints: dataPoints
@@ -31,32 +50,190 @@ module.exports = (adapter) => {
           isTotalMeter: entry.isTotalMeter === true,
           isSource: entry.isSource === true,
           isConsumer: entry.isConsumer === true,
+          isFlexible: entry.isFlexible === true,
           orientation: entry.orientation || "",
+          counterMax: optionalNumber(entry.counterMax),
+          maxAgeHours: optionalNumber(entry.maxAgeHours),
+        })),
+      rules: rules
+        .filter((rule) => rule && rule.type)
+        .map((rule, index) => ({
+          id: rule.id || `rule${index + 1}`,
+          enabled: rule.enabled !== false,
+          target: rule.target || "*",
+          type: rule.type,
+          threshold: optionalNumber(rule.threshold),
+          min: optionalNumber(rule.min),
+          max: optionalNumber(rule.max),
+          minutes: optionalNumber(rule.minutes),
+          hours: optionalNumber(rule.hours),
+          operator: rule.operator === "below" ? "below" : "above",
+          severity: ["low", "medium", "high"].includes(rule.severity) ? rule.severity : "",
         })),
       history: {
         mode: history.mode || "auto",
         instance: history.instance || "",
+        windows: history.windows || "24h,7d",
+        rawMaxHours: toNumber(history.rawMaxHours, 48, 1),
+        maxPoints: toNumber(history.maxPoints, 500, 50),
       },
       telegram: {
         enabled: telegram.enabled === true,
         token: telegram.token || "",
-        chatId: telegram.chatId || "",
+        chatId: String(telegram.chatId || ""),
+        instance: telegram.instance || "",
       },
       gpt: {
         enabled: gpt.enabled === true,
         openaiApiKey: gpt.openaiApiKey || "",
-        model: gpt.model || "",
+        model: gpt.model || "gpt-4o-mini",
+        baseUrl: String(gpt.baseUrl || DEFAULT_GPT_BASE_URL).replace(/\/+$/, ""),
+        timeoutMs: toNumber(gpt.timeoutMs, 30000, 1000),
+        maxRetries: toNumber(gpt.maxRetries, 2, 0),
+        maxInputTokens: toNumber(gpt.maxInputTokens, 2000, 200),
+        maxOutputTokens: toNumber(gpt.maxOutputTokens, 800, 100),
+      },
+      actions: {
+        expireHours: toNumber(actions.expireHours, 72, 1),
+        retentionDays: toNumber(actions.retentionDays, 30, 1),
+      },
+      analysis: {
+        nightStart: analysis.nightStart || "00:00",
+        nightEnd: analysis.nightEnd || "05:00",
+        baseLoadQuantile: Math.min(toNumber(analysis.baseLoadQuantile, 0.1, 0), 1),
+        baseLoadIncreaseW: toNumber(analysis.baseLoadIncreaseW, 30, 0),
+        baselineWeeks: toNumber(analysis.baselineWeeks, 8, 2),
+        baselineMinSamples: toNumber(analysis.baselineMinSamples, 4, 2),
+      },
+      water: {
+        continuousFlowMinutes: toNumber(water.continuousFlowMinutes, 120, 5),
+        flowGapMinutes: toNumber(water.flowGapMinutes, 15, 1),
+        nightThresholdL: toNumber(water.nightThresholdL, 10, 0),
+        dailyIncreaseFactor: toNumber(water.dailyIncreaseFactor, 1.5, 1),
+      },
+      climate: {
+        comfortMin: toNumber(climate.comfortMin, 19, 0),
+        comfortMax: toNumber(climate.comfortMax, 24, 0),
+        comfortMinutes: toNumber(climate.comfortMinutes, 60, 1),
+        windowDropK: toNumber(climate.windowDropK, 1.5, 0.1),
+        windowDropMinutes: toNumber(climate.windowDropMinutes, 15, 1),
+        heatingLimit: toNumber(climate.heatingLimit, 15, -20),
+        indoorBase: toNumber(climate.indoorBase, 20, 0),
+        solarGainK: toNumber(climate.solarGainK, 3, 0.1),
+        efficiencyFactor: toNumber(climate.efficiencyFactor, 1.25, 1),
+      },
+      tariff: {
+        mode: ["fixed", "timeOfUse", "dynamic"].includes(tariff.mode) ? tariff.mode : "fixed",
+        price: toNumber(tariff.price, 0.35, 0),
+        feedIn: toNumber(tariff.feedIn, 0.08, 0),
+        periods: (Array.isArray(tariff.periods) ? tariff.periods : [])
+          .filter((period) => period && period.start && period.end)
+          .map((period) => ({ start: period.start, end: period.end, price: optionalNumber(period.price) })),
+        priceObjectId: tariff.priceObjectId || "",
+        priceUnit: tariff.priceUnit || "eur/kWh",
+        highImpactEur: toNumber(tariff.highImpactEur, 20, 0),
+      },
+      advisor: {
+        enabled: advisor.enabled !== false,
+        minSurplusW: toNumber(advisor.minSurplusW, 800, 100),
+        flexibleLoadKwh: toNumber(advisor.flexibleLoadKwh, 1, 0.1),
+        batteryFullSoc: toNumber(advisor.batteryFullSoc, 95, 50),
+        minSavingEur: toNumber(advisor.minSavingEur, 1, 0),
+      },
+      profiles: {
+        enabled: profiles.enabled !== false,
+        onThresholdW: toNumber(profiles.onThresholdW, 10, 1),
+        mergeMinutes: toNumber(profiles.mergeMinutes, 5, 0),
+        durationFactor: toNumber(profiles.durationFactor, 1.5, 1.1),
+        energyFactor: toNumber(profiles.energyFactor, 1.3, 1.1),
+        alwaysOnHours: toNumber(profiles.alwaysOnHours, 12, 1),
+      },
+      quality: {
+        enabled: quality.enabled !== false,
+        maxAgeHours: toNumber(quality.maxAgeHours, 6, 0.25),
+        gapHours: toNumber(quality.gapHours, 12, 1),
+        spikeFactor: toNumber(quality.spikeFactor, 8, 3),
+        batteryLowPercent: Math.min(toNumber(quality.batteryLowPercent, 15, 0), 100),
+        checkDevices: quality.checkDevices !== false,
+      },
+      forecast: {
+        enabled: forecast.enabled !== false,
+        historyDays: toNumber(forecast.historyDays, 28, 7),
+        minSurplusW: toNumber(forecast.minSurplusW, 800, 100),
+        minSurplusKwh: toNumber(forecast.minSurplusKwh, 3, 0.1),
+        cloudObjectId: forecast.cloudObjectId || "",
+        cloudTomorrowObjectId: forecast.cloudTomorrowObjectId || "",
+        cloudImpact: Math.min(toNumber(forecast.cloudImpact, 0.75, 0), 1),
+      },
+      report: {
+        language: report.language === "en" ? "en" : "de",
+        title: report.title || "",
+        sections: toList(report.sections || DEFAULT_REPORT_SECTIONS),
+        textSections: toList(report.textSections || DEFAULT_TEXT_SECTIONS),
+      },
+      archive: {
+        enabled: archive.enabled !== false,
+        retentionDays: toNumber(archive.retentionDays, 90, 7),
+        summaryRetentionDays: toNumber(archive.summaryRetentionDays, 730, 30),
+      },
+      live: {
+        enabled: live.enabled === true,
+        frostLimit: toNumber(live.frostLimit, 3, -50),
+        powerSpikeW: toNumber(live.powerSpikeW, 0, 0),
+        debounceSeconds: toNumber(live.debounceSeconds, 30, 0),
+        cooldownMinutes: toNumber(live.cooldownMinutes, 60, 0),
+      },
+      learning: {
+        enabled: learning.enabled !== false,
+        rejectThreshold: toNumber(learning.rejectThreshold, 2, 1),
+        muteAfterRejects: toNumber(learning.muteAfterRejects, 3, 1),
+        muteDays: toNumber(learning.muteDays, 14, 1),
       },
       scheduler: {
         enabled: scheduler.enabled === true,
         time: scheduler.time || "08:00",
         days: scheduler.days || "mon,tue,wed,thu,fri,sat,sun",
+        cron: scheduler.cron || "",
         timezone: scheduler.timezone || "UTC",
       },
     };
   }
 
+  /**
+   * Wandelt Zahlenwerte aus der Admin-Oberfläche um und erzwingt ein Minimum.
+   */
+  function toNumber(value, fallback, min) {
+    const num = Number(value);
+    if (value === "" || value === null || value === undefined || !Number.isFinite(num)) {
+      return fallback;
+    }
+    return Math.max(num, min);
+  }
+
+  /**
+   * Kommagetrennte Liste (z. B. Report-Abschnitte) in ein Array.
+   */
+  function toList(value) {
+    return String(value)
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Optionale Zahl: leer bzw. ungültig ergibt null.
+   */
+  function optionalNumber(value) {
+    if (value === "" || value === null || value === undefined) {
+      return null;
+    }
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+  }
+
   return {
     normalize,
   };
 };
+
+module.exports.DEFAULT_GPT_BASE_URL = DEFAULT_GPT_BASE_URL;
@@ -1,12 +1,57 @@
 "use strict";
 
+const MAX_CANDIDATES = 200;
+
+/**
+ * Einheiten (normalisiert) -> Messart. Nur exakte Treffer, damit z. B. "kW" nicht als Energie gilt.
+ */
+const UNIT_KINDS = {
+  w: "power",
+  kw: "power",
+  wh: "energy",
+  kwh: "energy",
+  "m³": "water",
+  m3: "water",
+  l: "water",
+  "°c": "temperature",
+  "%": "percent",
+};
+
+/**
+ * Adapter-spezifische Muster: wie viele ID-Segmente das Gerät bilden und typische State-Namen.
+ * deviceDepth 0 = übergeordneter Kanal (z. B. MQTT-Topics).
+ */
+const ADAPTERS = {
+  shelly: { label: "Shelly", deviceDepth: 3, power: /^power$/i, energy: /^energy$/i },
+  sonoff: { label: "Sonoff", deviceDepth: 3, power: /^energy_power$/i, energy: /^energy_total$/i, daily: /^energy_today$/i },
+  "hm-rpc": { label: "Homematic", deviceDepth: 3, power: /^power$/i, energy: /^energy_counter$/i, temperature: /^actual_temperature$/i },
+  modbus: { label: "Modbus", deviceDepth: 2 },
+  mbus: { label: "M-Bus", deviceDepth: 3 },
+  mqtt: { label: "MQTT", deviceDepth: 0 },
+  zigbee: { label: "Zigbee", deviceDepth: 3, power: /^(load_)?power$/i, energy: /^energy$/i, temperature: /^(local_)?temperature$/i },
+};
+
+const NAME_PATTERNS = {
+  source: /pv|solar|photovolt|inverter|wechselrichter/i,
+  grid: /grid|netz|bezug|einspeis|smartmeter|smart_meter/i,
+  battery: /batter|akku|speicher|storage/i,
+  wallbox: /wallbox|charger|ladestation|evcc/i,
+  heating: /heizung|heating|heat.?pump|w(ä|ae)rmepumpe|heizstab/i,
+  house: /house|haus|gesamt|total_consumption|hausverbrauch/i,
+  outside: /outside|outdoor|au(ss|ß)en/i,
+  soc: /soc|state.?of.?charge|ladezustand|ladestand/i,
+  daily: /today|heute|daily|tages|_day$/i,
+  leak: /leak|flood|leck|wasseralarm|water_?alarm/i,
+};
+
 /**
  * Discovery-Modul für automatische Kandidatenerkennung.
- * Sammelt geeignete Datenpunkte, ohne sie zu aktivieren.
+ * Sammelt geeignete Datenpunkte, ohne sie zu aktivieren, und schlägt fertige
+ * dataPoints-Einträge (Kategorie, Einheit, Flags, Tageszähler) je Gerät vor.
  */
 module.exports = (adapter) => {
   /**
-   * Scannt bekannte Adapter und erzeugt Kandidaten mit einfacher Bewertung.
+   * Scannt bekannte Adapter und erzeugt klassifizierte Kandidaten, sortiert nach Gerät.
    */
   async function runDiscovery() {
     const candidates = [];
@@ -19,7 +64,7 @@ module.exports = (adapter) => {
 
       for (const row of view.rows || []) {
         const obj = row.value;
-        if (!obj || obj.type !== "state" || !obj.common) {
+        if (!obj || obj.type !== "state" || !obj.common || obj._id.startsWith(`${adapter.namespace}.`)) {
           continue;
         }
         const common = obj.common;
@@ -27,55 +72,250 @@ module.exports = (adapter) => {
           continue;
         }
 
-        const score = scoreCandidate(obj);
-        if (score <= 0) {
+        const candidate = classifyCandidate(obj);
+        if (!candidate || candidate.score <= 0) {
           continue;
         }
-
-        candidates.push({
-          objectId: obj._id,
-          name: common.name || obj._id,
-          unit: common.unit || "",
-          role: common.role || "",
-          type: common.type,
-          score,
-        });
+        candidates.push(candidate);
       }
     } catch (error) {
       adapter.log.warn(`Discovery konnte Objekte nicht laden: ${error.message}`);
     }
 
     candidates.sort((a, b) => b.score - a.score);
-    return candidates.slice(0, 200);
+    const selected = candidates.slice(0, MAX_CANDIDATES);
+    linkDeviceCandidates(selected);
+    selected.sort((a, b) => a.device.localeCompare(b.device) || b.score - a.score);
+    return selected;
   }
 
   /**
-   * Einfache Bewertung anhand von Rolle, Einheit und Namen.
+   * Ordnet einen State Adapter, Gerät und Messart zu und bewertet ihn.
    */
-  function scoreCandidate(obj) {
+  function classifyCandidate(obj) {
     const common = obj.common || {};
-    const name = String(common.name || "").toLowerCase();
+    const id = obj._id;
+    const adapterName = id.split(".")[0];
+    const pattern = ADAPTERS[adapterName] || null;
+    const stateName = id.split(".").pop();
+    const name = resolveName(common.name) || id;
+    const text = `${id} ${name}`;
     const role = String(common.role || "").toLowerCase();
-    const unit = String(common.unit || "").toLowerCase();
+    const unit = String(common.unit || "").trim();
 
-    let score = 0;
-    if (role.includes("energy") || role.includes("power")) {
-      score += 3;
+    const kind = detectKind(common.type, unit, role, text, stateName, pattern);
+    if (!kind) {
+      return null;
     }
-    if (unit.includes("w") || unit.includes("wh")) {
-      score += 2;
+
+    let score = 2;
+    if (pattern) {
+      score += 1;
+      if (pattern[kind] && pattern[kind].test(stateName)) {
+        score += 2;
+      }
     }
-    if (name.includes("power") || name.includes("leistung")) {
+    if (role.includes(kind) || (kind === "leak" && role.includes("alarm"))) {
       score += 2;
     }
-    if (name.includes("temperature") || name.includes("temperatur")) {
+    if (UNIT_KINDS[unit.toLowerCase()]) {
       score += 1;
     }
 
-    return score;
+    return {
+      objectId: id,
+      name,
+      unit,
+      role: common.role || "",
+      type: common.type,
+      adapter: pattern ? pattern.label : adapterName,
+      device: deviceId(id, pattern),
+      kind,
+      score,
+      selected: false,
+      suggestion: suggestEntry(kind, id, name, unit, text),
+    };
+  }
+
+  /**
+   * Messart aus Einheit (exakt), Rolle und Namen.
+   */
+  function detectKind(type, unit, role, text, stateName, pattern) {
+    if (type === "boolean") {
+      return role.includes("flood") || role.includes("leak") || NAME_PATTERNS.leak.test(text) ? "leak" : null;
+    }
+
+    const unitKind = UNIT_KINDS[unit.toLowerCase()];
+    if (unitKind === "energy" && ((pattern && pattern.daily && pattern.daily.test(stateName)) || NAME_PATTERNS.daily.test(stateName))) {
+      return "daily";
+    }
+    if (unitKind === "percent") {
+      return NAME_PATTERNS.soc.test(text) || role.includes("battery") ? "soc" : null;
+    }
+    if (unitKind) {
+      return unitKind;
+    }
+
+    // Ohne Einheit nur bei eindeutiger Rolle.
+    if (role.startsWith("value.power.consumption") || role === "value.energy") {
+      return "energy";
+    }
+    if (role.startsWith("value.power")) {
+      return "power";
+    }
+    if (role.startsWith("value.temperature")) {
+      return "temperature";
+    }
+    return null;
+  }
+
+  /**
+   * Fertiger Vorschlag im Format von native.dataPoints.
+   */
+  function suggestEntry(kind, objectId, name, unit, text) {
+    const entry = {
+      objectId,
+      dailyObjectId: "",
+      category: "",
+      description: name,
+      unit,
+      enabled: true,
+      includeInBalance: false,
+      isTotalMeter: false,
+      isSource: false,
+      isConsumer: false,
+      orientation: "",
+      counterMax: null,
+      maxAgeHours: null,
+    };
+
+    if (kind === "power" || kind === "energy" || kind === "daily") {
+      entry.includeInBalance = true;
+      if (NAME_PATTERNS.source.test(text)) {
+        entry.category = "energy.pvPower";
+        entry.isSource = true;
+      } else if (NAME_PATTERNS.grid.test(text)) {
+        entry.category = "energy.gridPower";
+      } else if (NAME_PATTERNS.battery.test(text)) {
+        entry.category = "energy.batteryPower";
+      } else if (NAME_PATTERNS.wallbox.test(text)) {
+        entry.category = "energy.wallbox";
+        entry.isConsumer = true;
+      } else if (NAME_PATTERNS.heating.test(text)) {
+        entry.category = "energy.heating";
+        entry.isConsumer = true;
+      } else if (NAME_PATTERNS.house.test(text)) {
+        entry.category = "energy.houseConsumption";
+        entry.isTotalMeter = true;
+      } else {
+        entry.category = "energy.consumer";
+        entry.isConsumer = true;
+      }
+      // Zählerstände der Netz- und Batteriepunkte sind nicht vorzeichenbehaftet und taugen nicht für die Bilanz.
+      if (kind !== "power" && ["energy.gridPower", "energy.batteryPower"].includes(entry.category)) {
+        entry.includeInBalance = false;
+      }
+    } else if (kind === "soc") {
+      entry.category = "energy.batterySoc";
+    } else if (kind === "water") {
+      entry.category = "water.total";
+      entry.isTotalMeter = true;
+    } else if (kind === "temperature") {
+      entry.category = NAME_PATTERNS.outside.test(text) ? "temperature.outside" : "room";
+    } else if (kind === "leak") {
+      entry.category = "leak";
+    }
+    return entry;
+  }
+
+  /**
+   * Verknüpft Tageszähler mit dem Haupt-Datenpunkt desselben Geräts (Leistung oder Zähler).
+   * Hat ein Gerät Leistung und Zähler, geht nur die Leistung in die Bilanz (sonst doppelt gezählt).
+   */
+  function linkDeviceCandidates(candidates) {
+    for (const counter of candidates.filter((candidate) => candidate.kind === "energy")) {
+      const hasPower = candidates.some(
+        (candidate) =>
+          candidate.device === counter.device &&
+          candidate.kind === "power" &&
+          candidate.suggestion.category === counter.suggestion.category,
+      );
+      if (hasPower) {
+        counter.suggestion.includeInBalance = false;
+      }
+    }
+
+    for (const daily of candidates.filter((candidate) => candidate.kind === "daily")) {
+      const main = candidates.find(
+        (candidate) =>
+          candidate.device === daily.device &&
+          (candidate.kind === "power" || candidate.kind === "energy") &&
+          !candidate.suggestion.dailyObjectId,
+      );
+      if (main) {
+        main.suggestion.dailyObjectId = daily.objectId;
+        daily.linkedTo = main.objectId;
+        daily.suggestion = null;
+      }
+    }
+  }
+
+  /**
+   * Übernimmt ausgewählte Kandidaten in die dataPoints-Liste, ohne Duplikate.
+   * selection: Liste von Object-IDs; ohne Auswahl gelten Kandidaten mit selected = true.
+   */
+  function mergeCandidates(dataPoints, candidates, selection) {
+    const result = Array.isArray(dataPoints) ? [...dataPoints] : [];
+    const known = new Set();
+    for (const entry of result) {
+      known.add(entry.objectId);
+      if (entry.dailyObjectId) {
+        known.add(entry.dailyObjectId);
+      }
+    }
+
+    const wanted = Array.isArray(selection) && selection.length ? new Set(selection) : null;
+    const added = [];
+    const skipped = [];
+    for (const candidate of candidates || []) {
+      const isSelected = wanted ? wanted.has(candidate.objectId) : candidate.selected === true;
+      if (!isSelected) {
+        continue;
+      }
+      if (!candidate.suggestion || known.has(candidate.objectId)) {
+        skipped.push(candidate.objectId);
+        continue;
+      }
+      const entry = { ...candidate.suggestion };
+      if (entry.dailyObjectId && known.has(entry.dailyObjectId)) {
+        entry.dailyObjectId = "";
+      }
+      result.push(entry);
+      known.add(entry.objectId);
+      if (entry.dailyObjectId) {
+        known.add(entry.dailyObjectId);
+      }
+      added.push(entry.objectId);
+    }
+
+    return { dataPoints: result, added, skipped };
+  }
+
+  function deviceId(objectId, pattern) {
+    const parts = objectId.split(".");
+    const depth = pattern && pattern.deviceDepth ? pattern.deviceDepth : parts.length - 1;
+    return parts.slice(0, Math.min(depth, parts.length - 1)).join(".");
+  }
+
+  function resolveName(name) {
+    if (name && typeof name === "object") {
+      return name.de || name.en || Object.values(name)[0] || "";
+    }
+    return name ? String(name) : "";
   }
 
   return {
     runDiscovery,
+    mergeCandidates,
   };
 };
@@ -0,0 +1,425 @@
+"use strict";
+
+const createUtils = require("./utils");
+const createSeries = require("./series");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PV_RECENT_DAYS = 14;
+const CLEAR_SKY_QUANTILE = 0.9;
+const CLOUD_EXPONENT = 3.4;
+const TREND_DAYS = 7;
+const TREND_MIN_DAYS = 3;
+const TREND_LIMITS = [0.7, 1.3];
+const ACCURACY_DAYS = 14;
+const MIN_DAY_HOURS = 22;
+const MAX_DAYS = 60;
+
+/**
+ * Prognose von Hausverbrauch und PV-Ertrag für heute und morgen.
+ * Aus der Historie werden Stundenwerte (kWh) gelernt (memory.forecast.hours): Verbrauch je Wochentag
+ * und Stunde, PV je Stunde der letzten zwei Wochen. Eine Bewölkungsprognose (optional, State eines
+ * Wetter-Adapters) skaliert den PV-Ertrag eines klaren Tages. Der Trend der letzten Tage korrigiert
+ * beide Prognosen; die Day-Ahead-Prognose wird gespeichert und mit dem Ist-Wert verglichen.
+ */
+module.exports = (adapter) => {
+  const utils = createUtils();
+  const seriesUtils = createSeries();
+
+  /**
+   * Liefert die Prognose, Empfehlungen (erwarteter Überschuss) und den aktualisierten Speicher.
+   * memory = { lastTs, hours: [{ ts, consumption, pv }], days: [{ date, consumption, pv }] }.
+   */
+  async function analyze(config, liveContext, historyData, stats, memory = {}, policy = {}) {
+    const now = Date.now();
+    const settings = config.forecast;
+    const summary = { today: null, tomorrow: null, surplusWindow: null, trend: null, accuracy: null, historyDays: 0 };
+    const recommendations = [];
+    if (!settings.enabled) {
+      return { summary, recommendations, memory };
+    }
+
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const hours = learnHours(config, historyData, memory, now);
+    const slots = buildSlots(hours, timeZone);
+    const completed = resolveActuals(memory.days || [], hours, timeZone, utils.zonedDateKey(now, timeZone));
+    const trend = { consumption: trendFactor(completed, "consumption"), pv: trendFactor(completed, "pv") };
+
+    const todayStart = utils.zonedDayStart(now, timeZone);
+    const tomorrowStart = utils.zonedDayStart(todayStart + DAY_MS + 2 * HOUR_MS, timeZone);
+    const dayAfterStart = utils.zonedDayStart(tomorrowStart + DAY_MS + 2 * HOUR_MS, timeZone);
+    const cloud = {
+      today: await readCloud(settings.cloudObjectId),
+      tomorrow: await readCloud(settings.cloudTomorrowObjectId),
+    };
+
+    const hourStart = Math.floor(now / HOUR_MS) * HOUR_MS;
+    summary.today = forecastDay(config, slots, todayStart, tomorrowStart, timeZone, cloud.today, trend, hourStart);
+    summary.tomorrow = forecastDay(config, slots, tomorrowStart, dayAfterStart, timeZone, cloud.tomorrow, trend);
+    summary.trend = trend;
+    summary.accuracy = { consumption: accuracy(completed, "consumption"), pv: accuracy(completed, "pv") };
+    summary.historyDays = round(hours.list.length / 24);
+
+    const days = recordForecasts(completed, [summary.today, summary.tomorrow]);
+
+    // Überschussfenster: bevorzugt noch heute, sonst morgen.
+    const todayWindow = findSurplusWindow(summary.today.hourly.filter((hour) => hour.ts >= hourStart), settings);
+    const tomorrowWindow = todayWindow ? null : findSurplusWindow(summary.tomorrow.hourly, settings);
+    if (todayWindow || tomorrowWindow) {
+      const day = todayWindow ? summary.today : summary.tomorrow;
+      const dayEnd = todayWindow ? tomorrowStart : dayAfterStart;
+      summary.surplusWindow = { day: todayWindow ? "today" : "tomorrow", ...(todayWindow || tomorrowWindow) };
+      const keyPolicy = policy["forecast:surplus"] || {};
+      if (!(keyPolicy.mutedUntil && Date.parse(keyPolicy.mutedUntil) > now)) {
+        recommendations.push(surplusRecommendation(summary.surplusWindow, day, dayEnd, settings, summary.historyDays));
+      }
+    }
+
+    adapter.log.debug(
+      `Prognose: heute ${formatOrDash(summary.today.consumptionKwh)} kWh Verbrauch / ${formatOrDash(summary.today.pvKwh)} kWh PV, ` +
+        `morgen ${formatOrDash(summary.tomorrow.consumptionKwh)} / ${formatOrDash(summary.tomorrow.pvKwh)} kWh.`,
+    );
+    for (const day of [summary.today, summary.tomorrow]) {
+      day.hourly = day.hourly.map((hour) => ({ hour: hour.hour, consumptionKwh: hour.consumptionKwh, pvKwh: hour.pvKwh }));
+    }
+    return { summary, recommendations, memory: { ...memory, lastTs: hours.lastTs, hours: hours.list, days } };
+  }
+
+  /**
+   * Schreibt die Tageswerte und die Treffsicherheit in die States unter stats.forecast.
+   */
+  async function persist(summary) {
+    const today = (summary && summary.today) || {};
+    const tomorrow = (summary && summary.tomorrow) || {};
+    const accuracyOf = (key) => (summary && summary.accuracy && summary.accuracy[key] ? summary.accuracy[key].accuracy : null);
+    const values = {
+      consumptionToday: today.consumptionKwh,
+      consumptionTomorrow: tomorrow.consumptionKwh,
+      pvToday: today.pvKwh,
+      pvTomorrow: tomorrow.pvKwh,
+      accuracyConsumption: accuracyOf("consumption"),
+      accuracyPv: accuracyOf("pv"),
+    };
+    for (const [key, value] of Object.entries(values)) {
+      await adapter.setStateAsync(`stats.forecast.${key}`, value === undefined ? null : value, true);
+    }
+  }
+
+  /**
+   * Ergänzt die gelernten Stundenwerte um die abgeschlossenen Stunden seit dem letzten Lauf.
+   * Verbrauch wie in der Bilanz: Gesamtzähler, sonst Netz + PV - Batterieladung (nur Leistungsmessungen).
+   */
+  function learnHours(config, historyData, memory, now) {
+    const hourEnd = Math.floor(now / HOUR_MS) * HOUR_MS;
+    const known = (Array.isArray(memory.hours) ? memory.hours : []).filter((hour) => hour.ts >= now - config.forecast.historyDays * DAY_MS);
+    const lastTs = memory.lastTs || 0;
+    const window = seriesUtils.longestWindow(historyData, now);
+    if (!window) {
+      return { list: known, lastTs };
+    }
+
+    const roles = { grid: [], battery: [], source: [], total: [] };
+    for (const entry of config.dataPoints) {
+      if (!entry.enabled || !entry.includeInBalance || seriesUtils.isCumulative(entry)) {
+        continue;
+      }
+      const role =
+        entry.category === "energy.gridPower"
+          ? "grid"
+          : entry.category === "energy.batteryPower"
+            ? "battery"
+            : entry.isSource
+              ? "source"
+              : entry.isTotalMeter
+                ? "total"
+                : null;
+      if (!role) {
+        continue;
+      }
+      const averages = new Map();
+      const series = window.series[entry.objectId] || [];
+      const factor = seriesUtils.powerFactorKw(entry.unit);
+      const options = { start: Math.max(lastTs, window.start), end: hourEnd, interpolation: seriesUtils.interpolationFor(window) };
+      for (const hour of seriesUtils.hourlyAverages(series, options)) {
+        averages.set(hour.ts, hour.val * factor);
+      }
+      roles[role].push(averages);
+    }
+
+    const stamps = new Set();
+    for (const averages of Object.values(roles).flat()) {
+      for (const ts of averages.keys()) {
+        stamps.add(ts);
+      }
+    }
+    const sum = (maps, ts) => (maps.length && maps.every((map) => map.has(ts)) ? maps.reduce((total, map) => total + map.get(ts), 0) : null);
+
+    for (const ts of [...stamps].sort((a, b) => a - b)) {
+      const pv = sum(roles.source, ts);
+      let consumption = sum(roles.total, ts);
+      const grid = sum(roles.grid, ts);
+      const battery = sum(roles.battery, ts);
+      const complete = (!roles.battery.length || battery !== null) && (!roles.source.length || pv !== null);
+      if (consumption === null && grid !== null && complete) {
+        consumption = Math.max(grid + (pv || 0) - (battery || 0), 0);
+      }
+      if (consumption !== null || pv !== null) {
+        known.push({ ts, consumption: roundOrNull(consumption, 1000), pv: pv === null ? null : round(Math.max(pv, 0), 1000) });
+      }
+    }
+    return { list: known, lastTs: Math.max(lastTs, hourEnd) };
+  }
+
+  /**
+   * Gruppiert die Stundenwerte nach Ortsstunde und Wochentag+Stunde (älteste zuerst).
+   */
+  function buildSlots(hours, timeZone) {
+    const slots = { week: {}, day: {} };
+    for (const hour of hours.list) {
+      const parts = utils.zonedParts(hour.ts + HOUR_MS / 2, timeZone);
+      const weekKey = `${parts.weekday}-${parts.hour}`;
+      (slots.week[weekKey] = slots.week[weekKey] || []).push(hour);
+      (slots.day[parts.hour] = slots.day[parts.hour] || []).push(hour);
+    }
+    return slots;
+  }
+
+  /**
+   * Prognose eines Tages aus den Stunden-Slots. Fehlt für eine Stunde ein Profil, bleibt der
+   * Tageswert null (zu wenig Historie). Ohne Bewölkung gilt der Median, mit Bewölkung der
+   * Ertrag eines klaren Tages (90. Perzentil) abzüglich Wolkenanteil (Kasten-Czeplak).
+   */
+  function forecastDay(config, slots, start, end, timeZone, cloudCover, trend, remainingFrom = start) {
+    const minSamples = config.analysis.baselineMinSamples;
+    const cloudFactor = cloudCover === null ? null : 1 - config.forecast.cloudImpact * Math.pow(cloudCover / 100, CLOUD_EXPONENT);
+    const hourly = [];
+    for (let ts = start; ts < end; ts += HOUR_MS) {
+      const parts = utils.zonedParts(ts + HOUR_MS / 2, timeZone);
+      const week = values(slots.week[`${parts.weekday}-${parts.hour}`], "consumption");
+      const daily = values(slots.day[parts.hour], "consumption");
+      const consumptionSamples = week.length >= minSamples ? week : daily.length >= minSamples ? daily : null;
+      const pvSamples = values(slots.day[parts.hour], "pv").slice(-PV_RECENT_DAYS);
+      let pv = null;
+      if (pvSamples.length >= minSamples) {
+        pv = cloudFactor === null ? utils.median(pvSamples) : quantile(pvSamples, CLEAR_SKY_QUANTILE) * cloudFactor;
+      }
+      hourly.push({
+        ts,
+        hour: parts.hour,
+        consumptionKwh: consumptionSamples ? round(utils.median(consumptionSamples) * trend.consumption, 1000) : null,
+        pvKwh: pv === null ? null : round(pv * trend.pv, 1000),
+      });
+    }
+
+    const total = (key, from = start) => {
+      const selected = hourly.filter((hour) => hour.ts >= from);
+      return selected.every((hour) => hour[key] !== null) ? round(selected.reduce((sum, hour) => sum + hour[key], 0)) : null;
+    };
+    const consumptionKwh = total("consumptionKwh");
+    const pvKwh = total("pvKwh");
+    const surplus = hourly.every((hour) => hour.consumptionKwh !== null && hour.pvKwh !== null)
+      ? round(hourly.reduce((sum, hour) => sum + Math.max(hour.pvKwh - hour.consumptionKwh, 0), 0))
+      : null;
+    return {
+      date: utils.zonedDateKey(start + HOUR_MS, timeZone),
+      consumptionKwh,
+      pvKwh,
+      surplusKwh: surplus,
+      remainingConsumptionKwh: remainingFrom > start ? total("consumptionKwh", remainingFrom) : consumptionKwh,
+      remainingPvKwh: remainingFrom > start ? total("pvKwh", remainingFrom) : pvKwh,
+      // Vor der Trendkorrektur, damit der Trend aus dem Vergleich mit dem Ist-Wert nicht doppelt wirkt.
+      rawConsumptionKwh: consumptionKwh === null ? null : round(consumptionKwh / trend.consumption),
+      rawPvKwh: pvKwh === null ? null : round(pvKwh / trend.pv),
+      cloudCover,
+      hourly,
+    };
+  }
+
+  /**
+   * Ergänzt gespeicherte Prognosen abgeschlossener Tage um den Ist-Wert aus den Stundenwerten
+   * (nur bei mindestens 22 gemessenen Stunden).
+   */
+  function resolveActuals(days, hours, timeZone, today) {
+    const totals = {};
+    for (const hour of hours.list) {
+      const date = utils.zonedDateKey(hour.ts + HOUR_MS / 2, timeZone);
+      const total = totals[date] || { consumption: 0, consumptionHours: 0, pv: 0, pvHours: 0 };
+      for (const key of ["consumption", "pv"]) {
+        if (hour[key] !== null) {
+          total[key] += hour[key];
+          total[`${key}Hours`]++;
+        }
+      }
+      totals[date] = total;
+    }
+    return days.map((day) => {
+      const total = totals[day.date];
+      if (day.date >= today || !total) {
+        return day;
+      }
+      const resolved = { ...day };
+      for (const key of ["consumption", "pv"]) {
+        if (day[key] && day[key].actual === null && total[`${key}Hours`] >= MIN_DAY_HOURS) {
+          resolved[key] = { ...day[key], actual: round(total[key]) };
+        }
+      }
+      return resolved;
+    });
+  }
+
+  /**
+   * Merkt sich je Tag die erste Prognose (für morgen = Day-Ahead), spätere Läufe überschreiben sie nicht.
+   */
+  function recordForecasts(days, forecasts) {
+    const result = [...days];
+    for (const day of forecasts) {
+      if (result.some((item) => item.date === day.date)) {
+        continue;
+      }
+      result.push({
+        date: day.date,
+        consumption: { raw: day.rawConsumptionKwh, forecast: day.consumptionKwh, actual: null },
+        pv: { raw: day.rawPvKwh, forecast: day.pvKwh, actual: null },
+      });
+    }
+    return result.sort((a, b) => a.date.localeCompare(b.date)).slice(-MAX_DAYS);
+  }
+
+  /**
+   * Trend der letzten Tage: Median aus Ist / Prognose (vor Korrektur), begrenzt auf ±30 %.
+   */
+  function trendFactor(days, key) {
+    const ratios = days
+      .map((day) => day[key])
+      .filter((item) => item && item.actual !== null && item.raw > 0)
+      .slice(-TREND_DAYS)
+      .map((item) => item.actual / item.raw);
+    if (ratios.length < TREND_MIN_DAYS) {
+      return 1;
+    }
+    return round(Math.min(Math.max(utils.median(ratios), TREND_LIMITS[0]), TREND_LIMITS[1]));
+  }
+
+  /**
+   * Treffsicherheit der gespeicherten Prognosen: gewichteter Fehler (Summe |Prognose - Ist| / Summe Ist)
+   * und systematische Abweichung, jeweils in Prozent.
+   */
+  function accuracy(days, key) {
+    const pairs = days
+      .map((day) => day[key])
+      .filter((item) => item && item.actual !== null && item.forecast !== null)
+      .slice(-ACCURACY_DAYS);
+    const actual = pairs.reduce((sum, item) => sum + item.actual, 0);
+    if (!pairs.length || actual <= 0) {
+      return null;
+    }
+    const error = pairs.reduce((sum, item) => sum + Math.abs(item.forecast - item.actual), 0) / actual;
+    const bias = pairs.reduce((sum, item) => sum + item.forecast - item.actual, 0) / actual;
+    return {
+      days: pairs.length,
+      errorPercent: round(error * 100),
+      biasPercent: round(bias * 100),
+      accuracy: round(Math.max(100 - error * 100, 0)),
+    };
+  }
+
+  /**
+   * Zusammenhängende Stunden mit erwartetem Überschuss ab minSurplusW; gemeldet ab minSurplusKwh.
+   */
+  function findSurplusWindow(hourly, settings) {
+    let best = null;
+    let current = null;
+    for (const hour of [...hourly, null]) {
+      const surplus = hour && hour.pvKwh !== null && hour.consumptionKwh !== null ? hour.pvKwh - hour.consumptionKwh : null;
+      if (surplus !== null && surplus >= settings.minSurplusW / 1000) {
+        current = current || { startHour: hour.hour, endHour: hour.hour + 1, surplusKwh: 0 };
+        current.endHour = hour.hour + 1;
+        current.surplusKwh += surplus;
+        continue;
+      }
+      if (current && (!best || current.surplusKwh > best.surplusKwh)) {
+        best = current;
+      }
+      current = null;
+    }
+    return best && best.surplusKwh >= settings.minSurplusKwh ? { ...best, surplusKwh: round(best.surplusKwh) } : null;
+  }
+
+  /**
+   * Einmaliger Hinweis für einen Tag: verfällt am Ende dieses (Orts-)Tages statt erst nach actions.expireHours.
+   */
+  function surplusRecommendation(window, day, dayEnd, settings, historyDays) {
+    const when = window.day === "today" ? "Heute" : "Morgen";
+    const label = `${window.startHour}–${window.endHour} Uhr`;
+    return {
+      kind: "recommendation",
+      objectId: "",
+      category: "energy",
+      ruleId: "forecast-surplus",
+      type: "surplusForecast",
+      severity: "low",
+      current: window.surplusKwh,
+      reference: settings.minSurplusKwh,
+      delta: null,
+      learningKey: "forecast:surplus",
+      title: `${when} hoher PV-Überschuss zwischen ${label} erwartet`,
+      description: `${when} werden zwischen ${label} ca. ${format(window.surplusKwh)} kWh Überschuss erwartet (PV ${formatOrDash(
+        day.pvKwh,
+      )} kWh, Verbrauch ${formatOrDash(day.consumptionKwh)} kWh am Tag). Wallbox, Wasch- oder Spülmaschine in dieses Fenster legen.`,
+      reason: `Prognose aus ${format(historyDays)} Tagen Historie${day.cloudCover === null ? "" : `, Bewölkung ${format(day.cloudCover)} %`}`,
+      // Keine Monatsschätzung.
+      impact: null,
+      expiresAt: new Date(dayEnd).toISOString(),
+    };
+  }
+
+  /**
+   * Bewölkungsgrad in Prozent (0-100) aus einem State, z. B. eines Wetter-Adapters.
+   */
+  async function readCloud(objectId) {
+    if (!objectId) {
+      return null;
+    }
+    try {
+      const cloudState = await adapter.getForeignStateAsync(objectId);
+      const value = cloudState ? seriesUtils.toNumber(cloudState.val) : null;
+      return value === null ? null : Math.min(Math.max(value, 0), 100);
+    } catch (error) {
+      adapter.log.warn(`Bewölkung ${objectId} nicht lesbar: ${error.message}`);
+      return null;
+    }
+  }
+
+  function values(hours, key) {
+    return (hours || []).map((hour) => hour[key]).filter((value) => value !== null && value !== undefined);
+  }
+
+  function quantile(list, share) {
+    const sorted = [...list].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * share;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  function round(value, precision = 100) {
+    return Math.round(value * precision) / precision;
+  }
+
+  function roundOrNull(value, precision) {
+    return value === null ? null : round(value, precision);
+  }
+
+  function format(value) {
+    return Number(value).toLocaleString("de-DE", { maximumFractionDigits: 1 });
+  }
+
+  function formatOrDash(value) {
+    return value === null || value === undefined ? "–" : format(value);
+  }
+
+  return {
+    analyze,
+    persist,
+  };
+};
@@ -1,19 +1,261 @@
 "use strict";
 
+const { DEFAULT_GPT_BASE_URL } = require("./config");
+
 /**
  * GPT-Integration (optional) zur Textanreicherung.
+ * Spricht jeden OpenAI-kompatiblen Chat-Completions-Endpunkt an
+ * (OpenAI, lokaler Server oder Mock) und fällt bei Fehlern auf die
+ * ursprünglichen Aktionen zurück.
  */
+
+const PRIORITIES = ["low", "medium", "high"];
+
+const RESPONSE_SCHEMA = {
+  name: "action_enrichment",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["actions"],
+    properties: {
+      actions: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["id", "title", "description", "reason", "priority"],
+          properties: {
+            id: { type: "string" },
+            title: { type: "string" },
+            description: { type: "string" },
+            reason: { type: "string" },
+            priority: { type: "string", enum: PRIORITIES },
+          },
+        },
+      },
+    },
+  },
+};
+
+const SYSTEM_PROMPT = [
+  "Du bist ein Energie- und Haushaltsberater für ein Smart Home.",
+  "Du erhältst Kennzahlen und vorgeschlagene Aktionen als JSON.",
+  "Formuliere Titel, Beschreibung und Begründung jeder Aktion kurz, konkret und auf Deutsch.",
+  "Schlage pro Aktion eine Priorität (low, medium, high) vor.",
+  "Erfinde keine neuen Aktionen und ändere keine IDs.",
+  "Antworte ausschließlich mit JSON im vorgegebenen Schema.",
+].join(" ");
+
 module.exports = (adapter) => {
   /**
    * Ergänzt Aktionen optional durch GPT.
    */
   async function enrichActions(config, actions, stats) {
-    if (!config.gpt.enabled || !config.gpt.openaiApiKey) {
+    const gptConfig = config.gpt;
+    if (!gptConfig.enabled || !actions.length) {
+      return actions;
+    }
+    if (!gptConfig.openaiApiKey && gptConfig.baseUrl === DEFAULT_GPT_BASE_URL) {
+      adapter.log.info("GPT ist aktiviert, aber kein API-Key hinterlegt. Überspringe Anreicherung.");
       return actions;
     }
 
-    adapter.log.info("GPT ist aktiviert, es erfolgt jedoch keine Änderung der Logik.");
-    return actions;
+    const payload = buildPayload(gptConfig, actions, stats);
+    let content;
+    try {
+      content = await requestCompletion(gptConfig, payload);
+    } catch (error) {
+      adapter.log.warn(`GPT-Anfrage fehlgeschlagen, verwende ursprüngliche Aktionen: ${error.message}`);
+      return actions;
+    }
+
+    const suggestions = parseReply(content, payload.actions);
+    if (!suggestions) {
+      adapter.log.warn("GPT-Antwort ungültig, verwende ursprüngliche Aktionen.");
+      return actions;
+    }
+
+    adapter.log.info(`GPT hat ${suggestions.size} Aktionen angereichert.`);
+    return mergeActions(actions, suggestions);
+  }
+
+  /**
+   * Baut eine kompakte Zusammenfassung, die in das Token-Budget passt.
+   * Zuerst werden Kennzahlen gekürzt, danach überzählige Aktionen weggelassen.
+   */
+  function buildPayload(gptConfig, actions, stats) {
+    const payload = {
+      stats: compact(stats) || {},
+      actions: actions.map((action) => ({
+        id: action.id,
+        category: action.category,
+        title: action.title,
+        description: action.description,
+        reason: action.reason,
+        priority: action.priority,
+      })),
+    };
+
+    const budget = gptConfig.maxInputTokens - estimateTokens(SYSTEM_PROMPT);
+    const statKeys = Object.keys(payload.stats).sort(
+      (a, b) => JSON.stringify(payload.stats[b]).length - JSON.stringify(payload.stats[a]).length,
+    );
+    while (estimateTokens(JSON.stringify(payload)) > budget && statKeys.length) {
+      delete payload.stats[statKeys.shift()];
+    }
+    while (estimateTokens(JSON.stringify(payload)) > budget && payload.actions.length > 1) {
+      payload.actions.pop();
+    }
+
+    return payload;
+  }
+
+  /**
+   * Entfernt leere Werte und rundet Zahlen, um Tokens zu sparen.
+   */
+  function compact(value) {
+    if (value === null || value === undefined || value === "") {
+      return undefined;
+    }
+    if (typeof value === "number") {
+      return Number.isFinite(value) ? Math.round(value * 100) / 100 : undefined;
+    }
+    if (Array.isArray(value)) {
+      const items = value.map(compact).filter((item) => item !== undefined);
+      return items.length ? items : undefined;
+    }
+    if (typeof value === "object") {
+      const result = {};
+      for (const [key, entry] of Object.entries(value)) {
+        const compacted = compact(entry);
+        if (compacted !== undefined) {
+          result[key] = compacted;
+        }
+      }
+      return Object.keys(result).length ? result : undefined;
+    }
+    return value;
+  }
+
+  /**
+   * Grobe Token-Schätzung (ca. 4 Zeichen pro Token).
+   */
+  function estimateTokens(text) {
+    return Math.ceil(String(text).length / 4);
+  }
+
+  /**
+   * Sendet die Anfrage mit Timeout und Wiederholungen bei temporären Fehlern.
+   */
+  async function requestCompletion(gptConfig, payload) {
+    const body = {
+      model: gptConfig.model,
+      temperature: 0.2,
+      max_tokens: gptConfig.maxOutputTokens,
+      response_format: { type: "json_schema", json_schema: RESPONSE_SCHEMA },
+      messages: [
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: JSON.stringify(payload) },
+      ],
+    };
+    const headers = { "Content-Type": "application/json" };
+    if (gptConfig.openaiApiKey) {
+      headers.Authorization = `Bearer ${gptConfig.openaiApiKey}`;
+    }
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= gptConfig.maxRetries; attempt++) {
+      if (attempt > 0) {
+        await delay(1000 * attempt);
+      }
+      try {
+        const response = await fetch(`${gptConfig.baseUrl}/chat/completions`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(gptConfig.timeoutMs),
+        });
+        if (!response.ok) {
+          lastError = new Error(`HTTP ${response.status}`);
+          if (response.status === 429 || response.status >= 500) {
+            continue;
+          }
+          throw lastError;
+        }
+        const data = await response.json();
+        const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+        return choice && choice.message ? choice.message.content : null;
+      } catch (error) {
+        if (error === lastError) {
+          throw error;
+        }
+        lastError = error.name === "TimeoutError" ? new Error(`Timeout nach ${gptConfig.timeoutMs} ms`) : error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Prüft die Antwort streng gegen das Schema.
+   * Liefert eine Map id -> Vorschlag oder null bei ungültiger Antwort.
+   */
+  function parseReply(content, sentActions) {
+    if (typeof content !== "string") {
+      return null;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+    if (!parsed || !Array.isArray(parsed.actions)) {
+      return null;
+    }
+
+    const knownIds = new Set(sentActions.map((action) => action.id));
+    const suggestions = new Map();
+    for (const item of parsed.actions) {
+      if (!item || !knownIds.has(item.id) || suggestions.has(item.id)) {
+        return null;
+      }
+      const textsValid = ["title", "description", "reason"].every(
+        (key) => typeof item[key] === "string" && item[key].trim(),
+      );
+      if (!textsValid || !PRIORITIES.includes(item.priority)) {
+        return null;
+      }
+      suggestions.set(item.id, item);
+    }
+
+    return suggestions.size ? suggestions : null;
+  }
+
+  /**
+   * Übernimmt verbesserte Texte und Prioritäten, ohne Originalfelder zu verlieren.
+   */
+  function mergeActions(actions, suggestions) {
+    return actions.map((action) => {
+      const suggestion = suggestions.get(action.id);
+      if (!suggestion) {
+        return action;
+      }
+      return {
+        ...action,
+        title: suggestion.title.trim(),
+        description: suggestion.description.trim(),
+        reason: suggestion.reason.trim(),
+        priority: suggestion.priority,
+        enrichedBy: "gpt",
+      };
+    });
+  }
+
+  function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
   return {
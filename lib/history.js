@@ -1,67 +1,241 @@
 "use strict";
 
+const HOUR_MS = 60 * 60 * 1000;
+const UNIT_MS = {
+  h: HOUR_MS,
+  d: 24 * HOUR_MS,
+  w: 7 * 24 * HOUR_MS,
+  y: 365 * 24 * HOUR_MS,
+};
+const AGGREGATES = ["onchange", "average", "minmax", "min", "max", "total"];
+const PRIMARY_WINDOW = "24h";
+
 /**
  * History-Modul: Ermittelt verfügbare History-Adapter und lädt Daten.
+ * Je Datenpunkt wird über common.custom bestimmt, welche (aktiven) Instanzen ihn loggen.
+ * Lädt je Analyse mehrere Zeitfenster (z. B. 24h, 7d, 30d, 1d@365d); lange Fenster
+ * werden serverseitig aggregiert abgefragt, damit keine Millionen Rohpunkte übertragen werden.
  */
 module.exports = (adapter) => {
   /**
    * Sammelt historische Daten für konfigurierte Punkte.
+   * Ergebnis: { series: { objectId: [...] } (24h), start und aggregate der 24h-Reihen,
+   *   windows: { key: { start, end, aggregate, step, series } },
+   *   sources: { objectId: { instance, points, loggedBy } }, warnings: [...] }
    */
   async function collect(config, liveContext) {
-    const historyInstance = await detectHistoryInstance(config.history);
-    const result = {};
+    const windows = parseWindows(config.history);
+    const result = { series: {}, windows: {}, sources: {}, warnings: [] };
 
-    if (!historyInstance) {
+    const instances = await listHistoryInstances();
+    if (!instances.length && !(config.history.mode === "instance" && config.history.instance)) {
       adapter.log.info("Kein History-Adapter verfügbar. Überspringe Historie.");
       return result;
     }
 
+    const objectIds = [];
     for (const entry of config.dataPoints) {
       if (!entry.enabled) {
         continue;
       }
-      result[entry.objectId] = await fetchHistory(historyInstance, entry.objectId);
+      objectIds.push(entry.objectId);
+      // Tageszähler werden für die Verbrauchsberechnung (inkl. Reset um Mitternacht) benötigt.
+      if (entry.dailyObjectId) {
+        objectIds.push(entry.dailyObjectId);
+      }
+    }
+    // Dynamischer Strompreis (z. B. Tibber, aWATTar) für die Kostenbewertung.
+    if (config.tariff.mode === "dynamic" && config.tariff.priceObjectId) {
+      objectIds.push(config.tariff.priceObjectId);
+    }
+
+    const now = Date.now();
+    for (const window of windows) {
+      const end = now - window.offsetMs;
+      const start = end - window.durationMs;
+      const options = buildQueryOptions(config.history, window, start, end);
+      const windowResult = { start, end, aggregate: options.aggregate, step: options.step || null, series: {} };
+
+      for (const objectId of new Set(objectIds)) {
+        if (!result.sources[objectId]) {
+          // Die Quelle wird einmalig anhand des ersten (24h-)Fensters bestimmt.
+          const resolved = await resolveSource(config.history, instances, objectId, options);
+          result.sources[objectId] = resolved.source;
+          result.warnings.push(...resolved.warnings);
+          windowResult.series[objectId] = resolved.series;
+          continue;
+        }
+        const instance = result.sources[objectId].instance;
+        windowResult.series[objectId] = instance ? await fetchHistory(instance, objectId, options) : [];
+      }
+      result.windows[window.key] = windowResult;
     }
 
+    result.series = result.windows[PRIMARY_WINDOW].series;
+    result.start = result.windows[PRIMARY_WINDOW].start;
+    result.aggregate = result.windows[PRIMARY_WINDOW].aggregate;
+    for (const warning of result.warnings) {
+      adapter.log.warn(warning);
+    }
     return result;
   }
 
   /**
-   * Ermittelt die History-Instanz entsprechend der Konfiguration.
+   * Bestimmt die History-Instanz eines Datenpunkts.
+   * Reihenfolge: konfigurierte Instanz (sofern sie den Punkt loggt), sonst die aktive
+   * loggende Instanz mit den meisten Punkten im Fenster.
    */
-  async function detectHistoryInstance(historyConfig) {
-    if (historyConfig.mode === "instance" && historyConfig.instance) {
-      return historyConfig.instance;
+  async function resolveSource(historyConfig, instances, objectId, options) {
+    const warnings = [];
+    const loggedBy = await getLoggingInstances(objectId, instances);
+    const source = { instance: "", points: 0, loggedBy };
+    const configured = historyConfig.mode === "instance" ? historyConfig.instance : "";
+
+    let candidates = loggedBy.filter((id) => {
+      const instance = instances.find((item) => item.id === id);
+      if (!instance || !instance.alive) {
+        warnings.push(`History-Instanz ${id} für ${objectId} ist nicht aktiv.`);
+        return false;
+      }
+      return true;
+    });
+    if (configured && (candidates.includes(configured) || !loggedBy.length)) {
+      candidates = [configured];
     }
 
+    if (!loggedBy.length) {
+      warnings.push(
+        `${objectId} wird von keiner History-Instanz geloggt. Bitte Logging in den Objekteinstellungen (z. B. history.0 oder influxdb.0) aktivieren.`,
+      );
+    }
+
+    let best = [];
+    for (const instance of candidates) {
+      const series = await fetchHistory(instance, objectId, options);
+      if (!source.instance || series.length > best.length) {
+        source.instance = instance;
+        best = series;
+      }
+    }
+    source.points = best.length;
+
+    if (source.instance && !best.length && loggedBy.length) {
+      warnings.push(`${objectId}: keine Daten in ${source.instance} im Zeitraum ${PRIMARY_WINDOW}.`);
+    }
+    return { source, warnings, series: best };
+  }
+
+  /**
+   * Liest aus common.custom, welche History-Instanzen den Datenpunkt loggen.
+   * Andere Adapter mit custom-Einstellungen (z. B. statistics.0) werden übergangen.
+   */
+  async function getLoggingInstances(objectId, instances) {
+    try {
+      const obj = await adapter.getForeignObjectAsync(objectId);
+      const custom = (obj && obj.common && obj.common.custom) || {};
+      return Object.keys(custom).filter(
+        (id) => custom[id] && custom[id].enabled !== false && instances.some((instance) => instance.id === id),
+      );
+    } catch (error) {
+      adapter.log.debug(`Objekt ${objectId} konnte nicht gelesen werden: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Parst die konfigurierten Fenster im Format <Dauer>[@<Versatz>][:<Aggregat>],
+   * z. B. "24h", "7d", "30d:minmax", "1d@365d" (gleicher Tag im Vorjahr).
+   * Das 24h-Fenster ist für die Analyse immer enthalten.
+   */
+  function parseWindows(historyConfig) {
+    const windows = [];
+    const tokens = String(historyConfig.windows || "")
+      .split(/[,;\s]+/)
+      .filter(Boolean);
+
+    for (const token of [PRIMARY_WINDOW, ...tokens]) {
+      const window = parseWindow(token);
+      if (!window) {
+        adapter.log.warn(`Ungültiges History-Fenster '${token}' ignoriert (z. B. 24h, 7d, 30d:average, 1d@365d).`);
+        continue;
+      }
+      if (!windows.some((existing) => existing.key === window.key)) {
+        windows.push(window);
+      }
+    }
+    return windows;
+  }
+
+  /**
+   * Parst ein Fenster wie 24h, 30d:average oder 1d@365d (null bei ungültigem Format).
+   */
+  function parseWindow(token) {
+    const match = /^(\d+)([hdwy])(?:@(\d+)([hdwy]))?(?::([a-z]+))?$/.exec(token.trim().toLowerCase());
+    if (!match) {
+      return null;
+    }
+    const aggregate = match[5] || "";
+    if (aggregate && !AGGREGATES.includes(aggregate)) {
+      return null;
+    }
+    const durationMs = Number(match[1]) * UNIT_MS[match[2]];
+    if (!durationMs) {
+      return null;
+    }
+    return {
+      key: match[5] ? token.slice(0, token.lastIndexOf(":")) : token,
+      durationMs,
+      offsetMs: match[3] ? Number(match[3]) * UNIT_MS[match[4]] : 0,
+      aggregate,
+    };
+  }
+
+  /**
+   * Kurze Fenster werden roh (onchange) geladen, längere aggregiert mit passender Schrittweite.
+   */
+  function buildQueryOptions(historyConfig, window, start, end) {
+    const aggregate = window.aggregate || (window.durationMs > historyConfig.rawMaxHours * HOUR_MS ? "average" : "onchange");
+    const options = { start, end, aggregate };
+    if (aggregate !== "onchange") {
+      options.step = Math.max(Math.ceil(window.durationMs / historyConfig.maxPoints), 60 * 1000);
+      options.limit = historyConfig.maxPoints * 2;
+    }
+    return options;
+  }
+
+  /**
+   * Ermittelt alle installierten History-Instanzen inkl. alive-Status.
+   */
+  async function listHistoryInstances() {
     try {
       const view = await adapter.getObjectViewAsync("system", "instance", {
         startkey: "system.adapter.",
         endkey: "system.adapter.\u9999",
       });
-      const historyAdapters = (view.rows || [])
+      const ids = (view.rows || [])
         .map((row) => row.value)
         .filter((obj) => obj && obj.common && obj.common.type === "history")
         .map((obj) => obj._id.replace("system.adapter.", ""));
 
-      return historyAdapters[0] || "";
+      const instances = [];
+      for (const id of ids) {
+        const alive = await adapter.getForeignStateAsync(`system.adapter.${id}.alive`);
+        instances.push({ id, alive: Boolean(alive && alive.val) });
+      }
+      return instances;
     } catch (error) {
       adapter.log.warn(`History-Adapter konnte nicht ermittelt werden: ${error.message}`);
-      return "";
+      return [];
     }
   }
 
   /**
    * Lädt historische Daten für ein Objekt.
    */
-  async function fetchHistory(instance, objectId) {
+  async function fetchHistory(instance, objectId, queryOptions) {
     const options = {
       id: objectId,
-      options: {
-        start: Date.now() - 24 * 60 * 60 * 1000,
-        end: Date.now(),
-        aggregate: "onchange",
-      },
+      options: queryOptions,
     };
 
     try {
@@ -91,5 +265,6 @@ module.exports = (adapter) => {
 
   return {
     collect,
+    parseWindow,
   };
 };
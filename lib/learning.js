@@ -0,0 +1,124 @@
+"use strict";
+
+const createState = require("./state");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FACTOR_STEP = 1.5;
+const MAX_THRESHOLD_FACTOR = 4;
+const MAX_MUTE_DAYS = 90;
+const MIN_PRIORITY_BOOST = -1;
+const MAX_PRIORITY_BOOST = 2;
+
+/**
+ * Lernen aus Nutzerfeedback.
+ * Führt pro learningKey Zähler in memory.feedback und leitet daraus eine Policy
+ * (Schwellwert-Faktor, Stummschaltung, Prioritäts-Bonus) in memory.policy ab.
+ */
+module.exports = (adapter) => {
+  const state = createState(adapter);
+
+  let queue = Promise.resolve();
+
+  /**
+   * Liefert die gelernte Policy (learningKey -> Eintrag).
+   */
+  async function getPolicy(config) {
+    if (!config.learning.enabled) {
+      return {};
+    }
+    return state.getJson("memory.policy", {});
+  }
+
+  /**
+   * Verbucht eine Entscheidung und passt die Policy des learningKey an.
+   */
+  function recordDecision(config, action) {
+    return exclusive(() => applyDecision(config, action));
+  }
+
+  async function applyDecision(config, action) {
+    const key = action.learningKey;
+    const status = action.status;
+    const timestamp = new Date().toISOString();
+
+    const feedback = await state.getJson("memory.feedback", {});
+    const counters = feedback[key] || { approved: 0, rejected: 0, modified: 0 };
+    counters[status] = (counters[status] || 0) + 1;
+    counters.lastDecision = status;
+    counters.lastTimestamp = timestamp;
+    feedback[key] = counters;
+    await state.setJson("memory.feedback", feedback);
+
+    if (!config.learning.enabled) {
+      return;
+    }
+
+    const policy = await state.getJson("memory.policy", {});
+    policy[key] = updatePolicy(config.learning, policy[key], status, timestamp);
+    await state.setJson("memory.policy", policy);
+
+    const entry = policy[key];
+    if (entry.mutedUntil) {
+      adapter.log.info(`Vorschläge für ${key} werden bis ${entry.mutedUntil} unterdrückt.`);
+    } else {
+      adapter.log.debug(`Policy für ${key}: Faktor ${entry.thresholdFactor}, Bonus ${entry.priorityBoost}.`);
+    }
+  }
+
+  /**
+   * Ablehnungen in Folge erhöhen den Schwellwert und schalten den Schlüssel irgendwann stumm
+   * (mit jeder weiteren Ablehnung doppelt so lange); Zustimmung setzt das zurück und erhöht die Priorität.
+   */
+  function updatePolicy(learningConfig, previous, status, timestamp) {
+    const entry = {
+      rejectedStreak: 0,
+      approvedCount: 0,
+      rejectedCount: 0,
+      thresholdFactor: 1,
+      priorityBoost: 0,
+      mutedUntil: null,
+      ...previous,
+      updatedAt: timestamp,
+    };
+
+    if (status === "rejected") {
+      entry.rejectedCount++;
+      entry.rejectedStreak++;
+      entry.priorityBoost = Math.max(entry.priorityBoost - 1, MIN_PRIORITY_BOOST);
+      if (entry.rejectedStreak >= learningConfig.rejectThreshold) {
+        entry.thresholdFactor = round(Math.min(entry.thresholdFactor * FACTOR_STEP, MAX_THRESHOLD_FACTOR));
+      }
+      if (entry.rejectedStreak >= learningConfig.muteAfterRejects) {
+        const exponent = entry.rejectedStreak - learningConfig.muteAfterRejects;
+        const days = Math.min(learningConfig.muteDays * 2 ** exponent, MAX_MUTE_DAYS);
+        entry.mutedUntil = new Date(Date.parse(timestamp) + days * DAY_MS).toISOString();
+      }
+    } else if (status === "approved" || status === "modified") {
+      entry.approvedCount++;
+      entry.rejectedStreak = 0;
+      entry.mutedUntil = null;
+      entry.priorityBoost = Math.min(entry.priorityBoost + 1, MAX_PRIORITY_BOOST);
+      entry.thresholdFactor = round(Math.max(entry.thresholdFactor / FACTOR_STEP, 1));
+    }
+
+    return entry;
+  }
+
+  /**
+   * Serialisiert Zugriffe auf memory.feedback und memory.policy (Telegram, sendTo und control.* laufen parallel).
+   */
+  function exclusive(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => undefined);
+    return run;
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  return {
+    getPolicy,
+    recordDecision,
+  };
+};
@@ -15,6 +15,8 @@ module.exports = (adapter) => {
       leaks: [],
       rooms: [],
       raw: {},
+      // Zeitstempel und Qualität je Datenpunkt für die Datenqualitäts-Prüfung.
+      states: {},
     };
 
     for (const entry of config.dataPoints) {
@@ -22,10 +24,12 @@ module.exports = (adapter) => {
         continue;
       }
 
-      const stateValue = await readState(entry.objectId);
+      const stateObj = await readStateObject(entry.objectId);
+      const stateValue = stateObj ? stateObj.val : null;
       const dailyValue = entry.dailyObjectId ? await readState(entry.dailyObjectId) : null;
 
       context.raw[entry.objectId] = stateValue;
+      context.states[entry.objectId] = stateObj ? { ts: stateObj.ts, lc: stateObj.lc, q: stateObj.q || 0, ack: stateObj.ack } : null;
 
       const payload = {
         objectId: entry.objectId,
@@ -53,19 +57,25 @@ module.exports = (adapter) => {
   }
 
   /**
-   * Liest einen Zustand, unabhängig ob lokal oder fremd.
+   * Liest den Wert eines Zustands, unabhängig ob lokal oder fremd.
    */
   async function readState(objectId) {
+    const stateObj = await readStateObject(objectId);
+    return stateObj ? stateObj.val : null;
+  }
+
+  /**
+   * Liest einen Zustand vollständig (val, ts, lc, q, ack).
+   */
+  async function readStateObject(objectId) {
     if (!objectId) {
       return null;
     }
     try {
       if (objectId.startsWith(`${adapter.namespace}.`)) {
-        const state = await adapter.getStateAsync(objectId);
-        return state ? state.val : null;
+        return (await adapter.getStateAsync(objectId)) || null;
       }
-      const foreignState = await adapter.getForeignStateAsync(objectId);
-      return foreignState ? foreignState.val : null;
+      return (await adapter.getForeignStateAsync(objectId)) || null;
     } catch (error) {
       adapter.log.warn(`Zustand ${objectId} konnte nicht gelesen werden: ${error.message}`);
       return null;
@@ -0,0 +1,197 @@
+"use strict";
+
+const createSeries = require("./series");
+
+const OUTDOOR_CATEGORY = /(outside|outdoor|aussen|außen)/i;
+
+/**
+ * Schnelle Regeln für den Live-Pfad. check liefert true, wenn der Zustand kritisch ist.
+ * Leckagen werden sofort gemeldet, alle anderen erst nach Ablauf der Entprellzeit.
+ */
+const FAST_RULES = [
+  {
+    type: "leak",
+    immediate: true,
+    applies: (entry) => entry.category === "leak",
+    check: (value) => value === true || value === 1 || value === "true",
+    title: (label) => `Wasseralarm: ${label}`,
+    description: (label) => `${label} meldet Wasser. Bitte sofort prüfen und ggf. Hauptwasserhahn schließen.`,
+    reason: () => "Leckage-Sensor ausgelöst",
+  },
+  {
+    type: "frost",
+    // Nur Innenräume: Außentemperaturen unter der Frostgrenze sind im Winter normal.
+    applies: (entry) => entry.category === "room" || (entry.category.startsWith("temperature") && !OUTDOOR_CATEGORY.test(entry.category)),
+    check: (value, live) => typeof value === "number" && value < live.frostLimit,
+    title: (label) => `Frostgefahr: ${label}`,
+    description: (label, value) => `${label} ist auf ${value} °C gefallen. Heizung und Fenster prüfen.`,
+    reason: (live) => `Unter der Frostgrenze von ${live.frostLimit} °C`,
+  },
+  {
+    type: "powerSpike",
+    applies: (entry, seriesUtils) => entry.category.startsWith("energy") && !entry.isSource && !seriesUtils.isCumulative(entry),
+    check: (value, live, entry, seriesUtils) =>
+      live.powerSpikeW > 0 && typeof value === "number" && value * seriesUtils.powerFactorKw(entry.unit) * 1000 >= live.powerSpikeW,
+    title: (label) => `Lastspitze: ${label}`,
+    description: (label, value, entry) => `${label} liegt bei ${value} ${entry.unit || "W"}. Ungewöhnlich hohe Last prüfen.`,
+    reason: (live) => `Über der Grenze von ${live.powerSpikeW} W`,
+  },
+];
+
+/**
+ * Live-Überwachung zwischen den geplanten Analysen (optional).
+ * Abonniert die aktiven Datenpunkte und meldet kritische Zustände sofort als dringende Abweichung;
+ * die Historien-Analyse bleibt beim Scheduler.
+ */
+module.exports = (adapter) => {
+  const seriesUtils = createSeries();
+
+  let settings = null;
+  let onAlert = null;
+  let watched = new Map();
+  const pending = new Map();
+  const lastAlertAt = new Map();
+
+  /**
+   * Abonniert alle aktiven Datenpunkte, für die eine schnelle Regel greift.
+   */
+  async function start(config, alertHandler) {
+    await stop();
+    settings = config.live;
+    onAlert = alertHandler;
+    if (!settings.enabled) {
+      adapter.log.info("Live-Überwachung deaktiviert.");
+      return;
+    }
+
+    for (const entry of config.dataPoints) {
+      if (!entry.enabled) {
+        continue;
+      }
+      const rules = FAST_RULES.filter((rule) => rule.applies(entry, seriesUtils));
+      if (rules.length) {
+        watched.set(entry.objectId, { entry, rules });
+      }
+    }
+    for (const objectId of watched.keys()) {
+      adapter.subscribeForeignStates(objectId);
+    }
+    adapter.log.info(`Live-Überwachung aktiv für ${watched.size} Datenpunkte.`);
+  }
+
+  /**
+   * Beendet Abos und offene Entprell-Timer.
+   */
+  async function stop() {
+    for (const timer of pending.values()) {
+      clearTimeout(timer);
+    }
+    pending.clear();
+    for (const objectId of watched.keys()) {
+      adapter.unsubscribeForeignStates(objectId);
+    }
+    watched = new Map();
+  }
+
+  function isWatched(id) {
+    return watched.has(id);
+  }
+
+  /**
+   * Prüft jede Änderung eines überwachten Datenpunkts gegen die schnellen Regeln.
+   */
+  async function handleStateChange(id, stateObj) {
+    const watch = watched.get(id);
+    // Werte mit gestörter Qualität (keine Verbindung, Fehler) lösen keinen Alarm aus, das meldet die Datenqualität.
+    if (!watch || !stateObj || (stateObj.q & 0x07) !== 0) {
+      return;
+    }
+    const value = normalizeValue(stateObj.val);
+
+    for (const rule of watch.rules) {
+      // Gleicher Schlüssel wie in der Analyse, damit ein Leck nur eine offene Aktion erzeugt.
+      const key = `${id}:${rule.type}`;
+      if (!rule.check(value, settings, watch.entry, seriesUtils)) {
+        cancel(key);
+        continue;
+      }
+      if (rule.immediate || !settings.debounceSeconds) {
+        await raise(key, rule, watch.entry, value);
+        continue;
+      }
+      if (!pending.has(key)) {
+        pending.set(
+          key,
+          setTimeout(() => {
+            pending.delete(key);
+            confirm(key, rule, watch.entry).catch((error) =>
+              adapter.log.warn(`Live-Prüfung ${key} fehlgeschlagen: ${error.message}`),
+            );
+          }, settings.debounceSeconds * 1000),
+        );
+      }
+    }
+  }
+
+  /**
+   * Nach der Entprellzeit: nur melden, wenn der Zustand weiterhin kritisch ist.
+   */
+  async function confirm(key, rule, entry) {
+    const current = await adapter.getForeignStateAsync(entry.objectId);
+    const value = normalizeValue(current ? current.val : null);
+    if (rule.check(value, settings, entry, seriesUtils)) {
+      await raise(key, rule, entry, value);
+    }
+  }
+
+  async function raise(key, rule, entry, value) {
+    const now = Date.now();
+    const last = lastAlertAt.get(key);
+    if (last && now - last < settings.cooldownMinutes * 60 * 1000) {
+      return;
+    }
+    lastAlertAt.set(key, now);
+
+    const label = entry.description || entry.objectId;
+    adapter.log.warn(`Live-Alarm (${rule.type}) für ${entry.objectId}: ${value}`);
+    await onAlert({
+      objectId: entry.objectId,
+      category: entry.category,
+      ruleId: `live-${rule.type}`,
+      type: rule.type,
+      severity: "high",
+      urgent: true,
+      current: value,
+      reference: null,
+      delta: null,
+      learningKey: key,
+      title: rule.title(label),
+      description: rule.description(label, value, entry),
+      reason: rule.reason(settings),
+      timestamp: new Date(now).toISOString(),
+    });
+  }
+
+  function cancel(key) {
+    const timer = pending.get(key);
+    if (timer) {
+      clearTimeout(timer);
+      pending.delete(key);
+    }
+  }
+
+  function normalizeValue(value) {
+    if (typeof value === "boolean") {
+      return value;
+    }
+    const num = seriesUtils.toNumber(value);
+    return num === null ? value : num;
+  }
+
+  return {
+    start,
+    stop,
+    isWatched,
+    handleStateChange,
+  };
+};
@@ -0,0 +1,234 @@
+"use strict";
+
+const createUtils = require("./utils");
+const createSeries = require("./series");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const MONTH_DAYS = 30;
+const MAX_CYCLES = 60;
+const MIN_BASELINE_CYCLES = 5;
+
+/**
+ * Geräteprofile für Verbraucher (isConsumer, Leistungsmessung).
+ * Die 24h-Leistungskurve wird in Ein/Aus-Zyklen zerlegt (Start, Dauer, Energie je Lauf); aus den
+ * abgeschlossenen Zyklen wird je Gerät ein typischer Lauf gelernt (memory.profiles). Gemeldet werden
+ * deutlich längere Läufe (z. B. Kühlschrank-Kompressor), mehr Energie pro Lauf (z. B. Waschmaschine)
+ * und Geräte, die nicht mehr abschalten.
+ */
+module.exports = (adapter) => {
+  const utils = createUtils();
+  const seriesUtils = createSeries();
+
+  /**
+   * Liefert Zyklus-Kennzahlen je Gerät, typisierte Abweichungen und den aktualisierten Speicher.
+   * memory.devices[objectId] = { cycles: [{ start, durationMin, kwh, peakW }], lastCycleEnd }.
+   */
+  function analyze(config, liveContext, historyData, stats, memory = {}, policy = {}) {
+    const now = Date.now();
+    const settings = config.profiles;
+    const summary = {};
+    const deviations = [];
+    if (!settings.enabled) {
+      return { summary, deviations, memory };
+    }
+    const price = stats && stats.cost ? stats.cost.averagePrice : config.tariff.price;
+    const known = memory.devices || {};
+    const devices = {};
+
+    const report = (entry, type, severity, details) => {
+      const learningKey = `${entry.objectId}:${type}`;
+      const keyPolicy = policy[learningKey] || {};
+      if (keyPolicy.mutedUntil && Date.parse(keyPolicy.mutedUntil) > now) {
+        return;
+      }
+      deviations.push({
+        objectId: entry.objectId,
+        category: entry.category,
+        ruleId: `profile-${type}`,
+        type,
+        severity,
+        current: details.current,
+        reference: details.reference,
+        delta: details.delta,
+        learningKey,
+        title: details.title,
+        description: details.description,
+        reason: details.reason,
+        // Eigene Bewertung, damit die Tarif-Schätzung Minuten bzw. kWh je Lauf nicht als Leistung liest.
+        impact: details.extraKwhPerDay > 0 ? monthlyImpact(details.extraKwhPerDay, price) : null,
+      });
+    };
+
+    for (const entry of config.dataPoints) {
+      if (!entry.enabled || !entry.isConsumer || seriesUtils.isCumulative(entry)) {
+        continue;
+      }
+      const device = known[entry.objectId] || { cycles: [], lastCycleEnd: 0 };
+      devices[entry.objectId] = device;
+      const series = historyData.series[entry.objectId];
+      if (!series || !series.length) {
+        continue;
+      }
+
+      const label = entry.description || entry.objectId;
+      const factor = (type) => (policy[`${entry.objectId}:${type}`] || {}).thresholdFactor || 1;
+      const cycles = detectCycles(series, now, seriesUtils.powerFactorKw(entry.unit), settings);
+      const completed = cycles.filter((cycle) => !cycle.running && !cycle.partial);
+      const fresh = completed.filter((cycle) => cycle.end > device.lastCycleEnd);
+      const running = cycles.find((cycle) => cycle.running) || null;
+      const baseline = typicalCycle(device.cycles);
+      const last = completed[completed.length - 1];
+
+      summary[entry.objectId] = {
+        label,
+        cycles24h: completed.length,
+        onMinutes24h: Math.round(cycles.reduce((sum, cycle) => sum + cycle.durationMin, 0)),
+        kwh24h: round(cycles.reduce((sum, cycle) => sum + cycle.kwh, 0)),
+        runningMinutes: running ? running.durationMin : null,
+        lastCycle: last ? { start: new Date(last.start).toISOString(), durationMin: last.durationMin, kwh: last.kwh, peakW: last.peakW } : null,
+        typical: baseline,
+      };
+
+      if (baseline) {
+        // Läuft seit alwaysOnHours und deutlich länger als ein typischer Lauf: schaltet nicht mehr ab.
+        const limitMin = baseline.durationMin * settings.durationFactor * factor("alwaysOn");
+        if (running && running.durationMin >= settings.alwaysOnHours * 60 && running.durationMin > limitMin) {
+          const averageKw = running.kwh / (running.durationMin / 60);
+          report(entry, "alwaysOn", "medium", {
+            current: running.durationMin,
+            reference: baseline.durationMin,
+            delta: round(running.durationMin - baseline.durationMin),
+            title: `${label} schaltet nicht mehr ab`,
+            description: `${label} läuft seit ${formatMinutes(running.durationMin)} ohne Pause (Ø ${Math.round(
+              averageKw * 1000,
+            )} W), üblich sind Läufe von ${formatMinutes(baseline.durationMin)}. Gerät, Thermostat bzw. Programm prüfen.`,
+            reason: `Typischer Lauf aus ${baseline.cycles} Zyklen`,
+            extraKwhPerDay: averageKw * 24 - baseline.kwh * baseline.cyclesPerDay,
+          });
+        }
+
+        const longest = maxBy(fresh, (cycle) => cycle.durationMin);
+        if (longest && longest.durationMin > baseline.durationMin * settings.durationFactor * factor("cycleDuration")) {
+          report(entry, "cycleDuration", "low", {
+            current: longest.durationMin,
+            reference: baseline.durationMin,
+            delta: round(longest.durationMin - baseline.durationMin),
+            title: `${label} läuft länger als üblich`,
+            description: `Ein Lauf von ${label} dauerte ${formatMinutes(longest.durationMin)} statt üblicher ${formatMinutes(
+              baseline.durationMin,
+            )}. Bei Kühlgeräten auf Dichtung, Vereisung und Lüftung achten.`,
+            reason: `Mehr als ${format(settings.durationFactor)}× der typischen Laufzeit`,
+            extraKwhPerDay: (longest.kwh - baseline.kwh) * baseline.cyclesPerDay,
+          });
+        }
+
+        const heaviest = maxBy(fresh, (cycle) => cycle.kwh);
+        if (heaviest && baseline.kwh > 0 && heaviest.kwh > baseline.kwh * settings.energyFactor * factor("cycleEnergy")) {
+          report(entry, "cycleEnergy", "low", {
+            current: heaviest.kwh,
+            reference: baseline.kwh,
+            delta: round(heaviest.kwh - baseline.kwh),
+            title: `${label} braucht mehr Energie pro Lauf`,
+            description: `Ein Lauf von ${label} benötigte ${format(heaviest.kwh)} kWh statt üblicher ${format(
+              baseline.kwh,
+            )} kWh. Programmwahl, Verkalkung bzw. Heizstab und Filter prüfen.`,
+            reason: `Mehr als ${format(settings.energyFactor)}× der typischen Energie je Lauf`,
+            extraKwhPerDay: (heaviest.kwh - baseline.kwh) * baseline.cyclesPerDay,
+          });
+        }
+      }
+
+      // Neue abgeschlossene Läufe erst nach der Prüfung lernen, damit sie die eigene Referenz nicht verschieben.
+      if (fresh.length) {
+        device.cycles = [
+          ...device.cycles,
+          ...fresh.map((cycle) => ({ start: cycle.start, durationMin: cycle.durationMin, kwh: cycle.kwh, peakW: cycle.peakW })),
+        ].slice(-MAX_CYCLES);
+        device.lastCycleEnd = fresh[fresh.length - 1].end;
+      }
+    }
+
+    adapter.log.debug(`Geräteprofile: ${Object.keys(summary).length} Verbraucher, ${deviations.length} Auffälligkeiten.`);
+    return { summary, deviations, memory: { ...memory, devices } };
+  }
+
+  /**
+   * Zerlegt die Leistungskurve in Läufe über onThresholdW. Kurze Pausen (mergeMinutes, z. B.
+   * Waschmaschine beim Einweichen) gehören zum selben Lauf. Der Wert gilt bis zum nächsten Punkt.
+   * partial: Gerät lief bereits zu Beginn der Reihe; running: läuft noch.
+   */
+  function detectCycles(series, end, factorKw, settings) {
+    const points = seriesUtils.toPoints(series);
+    const onKw = settings.onThresholdW / 1000;
+    const runs = [];
+    let current = null;
+    for (let index = 0; index < points.length; index++) {
+      const point = points[index];
+      const until = index + 1 < points.length ? points[index + 1].ts : end;
+      const kw = point.val * factorKw;
+      if (kw >= onKw) {
+        if (current && point.ts - current.end <= settings.mergeMinutes * MINUTE_MS) {
+          current.end = until;
+        } else {
+          current = { start: point.ts, end: until, peakKw: kw, partial: index === 0 };
+          runs.push(current);
+        }
+        current.peakKw = Math.max(current.peakKw, kw);
+      }
+    }
+
+    return runs.map((run) => ({
+      start: run.start,
+      end: run.end,
+      durationMin: Math.round((run.end - run.start) / MINUTE_MS),
+      kwh: round(seriesUtils.integrate(series, { end, include: (ts) => ts >= run.start && ts < run.end }).positive * factorKw),
+      peakW: Math.round(run.peakKw * 1000),
+      partial: run.partial,
+      running: run.end >= end,
+    }));
+  }
+
+  /**
+   * Typischer Lauf (Median von Dauer, Energie und Spitzenleistung) und Läufe pro Tag.
+   */
+  function typicalCycle(cycles) {
+    if (cycles.length < MIN_BASELINE_CYCLES) {
+      return null;
+    }
+    const spanDays = (cycles[cycles.length - 1].start - cycles[0].start) / DAY_MS;
+    return {
+      cycles: cycles.length,
+      durationMin: round(utils.median(cycles.map((cycle) => cycle.durationMin))),
+      kwh: round(utils.median(cycles.map((cycle) => cycle.kwh))),
+      peakW: Math.round(utils.median(cycles.map((cycle) => cycle.peakW))),
+      cyclesPerDay: spanDays >= 1 ? round((cycles.length - 1) / spanDays) : cycles.length,
+    };
+  }
+
+  function monthlyImpact(kwhPerDay, price) {
+    const kwh = kwhPerDay * MONTH_DAYS;
+    return { kwh: round(kwh), eur: round(kwh * price), period: "month" };
+  }
+
+  function maxBy(items, select) {
+    return items.reduce((best, item) => (!best || select(item) > select(best) ? item : best), null);
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function format(value) {
+    return Number(value).toLocaleString("de-DE", { maximumFractionDigits: 2 });
+  }
+
+  function formatMinutes(minutes) {
+    return minutes >= 120 ? `${format(minutes / 60)} h` : `${Math.round(minutes)} min`;
+  }
+
+  return {
+    analyze,
+  };
+};
@@ -0,0 +1,390 @@
+"use strict";
+
+const createUtils = require("./utils");
+const createSeries = require("./series");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const MAD_SCALE = 1.4826;
+const MIN_SPIKE_POINTS = 5;
+const SMOOTH_CATEGORIES = /^(temperature\.|room$|humidity)/;
+const QUIET_CATEGORIES = ["energy.wallbox", "energy.heating"];
+
+/**
+ * Gerätezustände neben dem Messwert, erkannt über die Rolle bzw. den State-Namen
+ * (z. B. zigbee.0.<gerät>.available, hm-rpc.0.<gerät>.0.UNREACH / LOWBAT).
+ */
+const DEVICE_STATES = {
+  reachable: { roles: ["indicator.reachable"], name: /^(available|reachable|online|alive)$/i },
+  unreach: { roles: ["indicator.unreach", "indicator.maintenance.unreach"], name: /^(unreach|unreachable|offline)$/i },
+  lowBattery: { roles: ["indicator.lowbat", "indicator.maintenance.lowbat"], name: /^(lowbat|low_?battery|battery_?low)$/i },
+  battery: { roles: ["value.battery"], name: /^(battery|battery_?level)$/i },
+};
+
+/**
+ * Datenqualität der konfigurierten Datenpunkte.
+ * Geprüft werden Alter des letzten Werts (ts), Qualitäts-Flag (q), Lücken und unplausible
+ * Sprünge in der 24h-Historie sowie Erreichbarkeit und Batterie des Geräts. Live-Werte veralteter
+ * oder fehlerhafter Datenpunkte werden verworfen, bevor die Statistik läuft.
+ */
+module.exports = (adapter) => {
+  const utils = createUtils();
+  const seriesUtils = createSeries();
+
+  /**
+   * Liefert je Datenpunkt Status und Befunde, Abweichungen („Sensor offline" usw.) und die
+   * Zeitstempel der Ausreißer je Datenpunkt (spikes, für apply).
+   */
+  async function assess(config, liveContext, historyData, policy = {}) {
+    const now = Date.now();
+    const settings = config.quality;
+    const summary = { checked: 0, ok: 0, warnings: 0, bad: 0, excluded: [], dataPoints: {} };
+    const deviations = [];
+    const spikes = {};
+    if (!settings.enabled) {
+      return { summary, deviations, spikes };
+    }
+    const devices = new Map();
+
+    const report = (entry, type, severity, details) => {
+      const learningKey = `${entry.objectId}:${type}`;
+      const keyPolicy = policy[learningKey] || {};
+      if (keyPolicy.mutedUntil && Date.parse(keyPolicy.mutedUntil) > now) {
+        return;
+      }
+      deviations.push({
+        objectId: entry.objectId,
+        category: entry.category,
+        ruleId: `quality-${type}`,
+        type,
+        severity,
+        current: details.current === undefined ? null : details.current,
+        reference: details.reference === undefined ? null : details.reference,
+        delta: null,
+        learningKey,
+        title: details.title,
+        description: details.description,
+        reason: details.reason,
+        impact: null,
+      });
+    };
+
+    for (const entry of config.dataPoints) {
+      if (!entry.enabled) {
+        continue;
+      }
+      const label = entry.description || entry.objectId;
+      const stateMeta = (liveContext.states || {})[entry.objectId] || null;
+      const series = historyData.series[entry.objectId] || [];
+      const issues = [];
+      const result = {
+        label,
+        status: "ok",
+        lastUpdate: stateMeta && stateMeta.ts ? new Date(stateMeta.ts).toISOString() : null,
+        ageMinutes: stateMeta && stateMeta.ts ? Math.round((now - stateMeta.ts) / MINUTE_MS) : null,
+        q: stateMeta ? stateMeta.q : null,
+        reachable: null,
+        lowBattery: null,
+        batteryPercent: null,
+        largestGapHours: null,
+        spikes: 0,
+        issues,
+      };
+      summary.dataPoints[entry.objectId] = result;
+      summary.checked++;
+
+      if (!stateMeta) {
+        issues.push({ type: "missing", severity: "bad", message: "Kein Wert vorhanden" });
+      }
+
+      const quality = describeQuality(result.q);
+      if (quality) {
+        issues.push({ type: quality.type, severity: quality.severity, message: `Qualität 0x${result.q.toString(16)}: ${quality.label}` });
+      }
+
+      if (settings.checkDevices) {
+        const device = await readDevice(entry.objectId, devices);
+        result.reachable = device.reachable;
+        result.lowBattery = device.lowBattery;
+        result.batteryPercent = device.batteryPercent;
+        if (device.reachable === false) {
+          issues.push({ type: "unreachable", severity: "bad", message: "Gerät nicht erreichbar" });
+        }
+        if (device.lowBattery || (device.batteryPercent !== null && device.batteryPercent < settings.batteryLowPercent)) {
+          const level = device.batteryPercent !== null ? ` (${Math.round(device.batteryPercent)} %)` : "";
+          issues.push({ type: "batteryLow", severity: "warning", message: `Batterie schwach${level}` });
+        }
+      }
+
+      // Viele Geräte schreiben nur bei Änderung: ein altes ts allein heißt nicht „ausgefallen“.
+      // Veraltet ist ein Wert erst mit weiterem Beleg (Qualitäts-Flag, nicht erreichbar oder
+      // trotz Aufzeichnung kein einziger Punkt in der 24h-Historie).
+      const maxAgeHours = entry.maxAgeHours !== null ? entry.maxAgeHours : defaultMaxAgeHours(entry, settings);
+      if (stateMeta && maxAgeHours > 0 && result.ageMinutes > maxAgeHours * 60) {
+        const source = (historyData.sources || {})[entry.objectId];
+        const silent = Boolean(source && source.instance) && !series.length;
+        if (silent || issues.some((issue) => issue.severity === "bad")) {
+          issues.unshift({ type: "stale", severity: "bad", message: `Letzter Wert vor ${formatMinutes(result.ageMinutes)}` });
+        }
+      }
+
+      const gaps = findGaps(series, settings.gapHours * HOUR_MS);
+      if (gaps.length) {
+        result.largestGapHours = round(Math.max(...gaps) / HOUR_MS);
+        issues.push({
+          type: "gap",
+          severity: "warning",
+          message: `${gaps.length} ${gaps.length === 1 ? "Lücke" : "Lücken"} in der Historie, längste ${format(result.largestGapHours)} h`,
+        });
+      }
+
+      // Sprünge nur bei Messwerten, die sich physikalisch langsam ändern; Leistungen dürfen springen.
+      if (SMOOTH_CATEGORIES.test(entry.category) && !seriesUtils.isCumulative(entry)) {
+        spikes[entry.objectId] = findSpikes(series, settings.spikeFactor);
+        result.spikes = spikes[entry.objectId].length;
+        if (result.spikes) {
+          const noun = result.spikes === 1 ? "unplausibler Sprung" : "unplausible Sprünge";
+          issues.push({ type: "spikes", severity: "warning", message: `${result.spikes} ${noun} (24 h)` });
+        }
+      }
+
+      result.status = issues.some((issue) => issue.severity === "bad") ? "bad" : issues.length ? "warning" : "ok";
+      summary[result.status === "warning" ? "warnings" : result.status]++;
+      // Ersatzwerte (q) sind keine Messung und zählen wie veraltete Werte nicht in die Statistik.
+      if (result.status === "bad" || issues.some((issue) => issue.type === "substitute")) {
+        summary.excluded.push(entry.objectId);
+      }
+
+      const offline = issues.find((issue) => ["missing", "stale", "unreachable", "offline"].includes(issue.type));
+      const error = issues.find((issue) => issue.type === "error");
+      if (offline) {
+        report(entry, "sensorOffline", "medium", {
+          current: result.ageMinutes,
+          reference: maxAgeHours * 60 || null,
+          title: `${label} liefert keine Daten`,
+          description: `${label}: ${offline.message}. Gerät, Funkverbindung bzw. Batterie prüfen; bis dahin wird der Wert nicht ausgewertet.`,
+          reason: issues.map((issue) => issue.message).join(", "),
+        });
+      } else if (error) {
+        report(entry, "sensorError", "medium", {
+          current: result.q,
+          title: `${label} meldet einen Fehler`,
+          description: `${label}: ${error.message}. Der Wert wird nicht ausgewertet, bis der Fehler behoben ist.`,
+          reason: "Qualitäts-Flag des States",
+        });
+      }
+      if (issues.some((issue) => issue.type === "batteryLow")) {
+        report(entry, "batteryLow", "low", {
+          current: result.batteryPercent,
+          reference: settings.batteryLowPercent,
+          title: `Batterie von ${label} wechseln`,
+          description: `Die Batterie des Geräts von ${label} ist schwach. Rechtzeitig wechseln, bevor der Sensor ausfällt.`,
+          reason: result.lowBattery ? "Gerät meldet schwache Batterie" : `Batteriestand unter ${settings.batteryLowPercent} %`,
+        });
+      }
+      if (result.spikes) {
+        report(entry, "implausible", "low", {
+          current: result.spikes,
+          title: `${label} liefert unplausible Werte`,
+          description:
+            `${label} sprang in den letzten 24 h ${result.spikes}× kurzzeitig weit vom Verlauf weg. ` +
+            "Die Ausreißer werden ignoriert; Sensor bzw. Montageort prüfen.",
+          reason: `Abweichung über ${format(settings.spikeFactor)}× der üblichen Änderung`,
+        });
+      }
+    }
+
+    adapter.log.debug(`Datenqualität: ${summary.checked} geprüft, ${summary.warnings} Hinweise, ${summary.bad} fehlerhaft.`);
+    return { summary, deviations, spikes };
+  }
+
+  /**
+   * Verwirft den Live-Wert ausgeschlossener Datenpunkte und Ausreißer in allen Fenstern.
+   * Die aufgezeichnete Historie bleibt erhalten, sie enthält die Werte aus der Zeit vor dem Ausfall.
+   */
+  function apply(liveContext, historyData, assessment) {
+    const excluded = new Set(assessment.summary.excluded);
+    for (const objectId of excluded) {
+      liveContext.raw[objectId] = null;
+    }
+    for (const group of [liveContext.energy, liveContext.temperature, liveContext.water, liveContext.leaks, liveContext.rooms]) {
+      for (const payload of Object.values(group || {})) {
+        if (excluded.has(payload.objectId)) {
+          payload.value = null;
+          payload.excluded = true;
+        }
+      }
+    }
+
+    for (const [objectId, timestamps] of Object.entries(assessment.spikes)) {
+      const spikes = new Set(timestamps);
+      if (!spikes.size) {
+        continue;
+      }
+      const keep = (point) => !spikes.has(Number(point.ts));
+      if (historyData.series[objectId]) {
+        historyData.series[objectId] = historyData.series[objectId].filter(keep);
+      }
+      for (const window of Object.values(historyData.windows || {})) {
+        if (window.series[objectId]) {
+          window.series[objectId] = window.series[objectId].filter(keep);
+        }
+      }
+    }
+  }
+
+  /**
+   * Standard-Alter ohne Angabe am Datenpunkt: Leckagesensoren, Zähler und Verbraucher schreiben
+   * nur bei Änderung (Zähler über Nacht, Wallbox im Leerlauf) und werden nicht geprüft.
+   */
+  function defaultMaxAgeHours(entry, settings) {
+    if (entry.category === "leak" || entry.isConsumer || seriesUtils.isCumulative(entry) || QUIET_CATEGORIES.includes(entry.category)) {
+      return 0;
+    }
+    return settings.maxAgeHours;
+  }
+
+  /**
+   * Deutung des ioBroker-Qualitäts-Flags (0x00 = ok).
+   * 0x02/0x12/0x42/0x82: keine Verbindung, 0x44/0x84: Fehler gemeldet, 0x01/0x11/0x41/0x81: allgemeines Problem,
+   * 0x10/0x20/0x40/0x80: Ersatzwert.
+   */
+  function describeQuality(q) {
+    if (!q) {
+      return null;
+    }
+    if (q & 0x02) {
+      return { type: "offline", severity: "bad", label: "keine Verbindung" };
+    }
+    if (q & 0x04) {
+      return { type: "error", severity: "bad", label: "Gerät bzw. Sensor meldet einen Fehler" };
+    }
+    if (q & 0x01) {
+      return { type: "error", severity: "bad", label: "allgemeines Problem" };
+    }
+    return { type: "substitute", severity: "warning", label: "Ersatzwert statt Messung" };
+  }
+
+  /**
+   * Sucht Erreichbarkeit und Batterie im Kanal bzw. Gerät des Datenpunkts (Ergebnis je Präfix gecacht).
+   */
+  async function readDevice(objectId, cache) {
+    const result = { reachable: null, lowBattery: null, batteryPercent: null };
+    const parts = objectId.split(".");
+    // Nur innerhalb eines Geräts suchen (mindestens adapter.instanz.gerät).
+    const prefixes = [parts.slice(0, -1), parts.slice(0, -2)].filter((prefix) => prefix.length >= 3).map((prefix) => prefix.join("."));
+    for (const prefix of prefixes) {
+      if (!cache.has(prefix)) {
+        cache.set(prefix, await findDeviceStates(prefix));
+      }
+      const found = cache.get(prefix);
+      if (!Object.keys(found).length) {
+        continue;
+      }
+      if (found.reachable) {
+        result.reachable = found.reachable.val === true || found.reachable.val === 1 || found.reachable.val === "true";
+      } else if (found.unreach) {
+        result.reachable = !(found.unreach.val === true || found.unreach.val === 1 || found.unreach.val === "true");
+      }
+      if (found.lowBattery) {
+        result.lowBattery = found.lowBattery.val === true || found.lowBattery.val === 1 || found.lowBattery.val === "true";
+      }
+      if (found.battery) {
+        result.batteryPercent = seriesUtils.toNumber(found.battery.val);
+      }
+      break;
+    }
+    return result;
+  }
+
+  async function findDeviceStates(prefix) {
+    const found = {};
+    try {
+      const objects = (await adapter.getForeignObjectsAsync(`${prefix}.*`, "state")) || {};
+      for (const [id, obj] of Object.entries(objects)) {
+        const role = String((obj && obj.common && obj.common.role) || "").toLowerCase();
+        const name = id.split(".").pop();
+        for (const [key, match] of Object.entries(DEVICE_STATES)) {
+          if (found[key] || !(match.roles.includes(role) || match.name.test(name))) {
+            continue;
+          }
+          // Batteriestand nur in Prozent, Spannungen (V) werden nicht gedeutet.
+          if (key === "battery" && obj.common.unit && obj.common.unit !== "%") {
+            continue;
+          }
+          const stateObj = await adapter.getForeignStateAsync(id);
+          if (stateObj && stateObj.val !== null && stateObj.val !== undefined) {
+            found[key] = stateObj;
+          }
+        }
+      }
+    } catch (error) {
+      adapter.log.debug(`Gerätezustand unter ${prefix} nicht lesbar: ${error.message}`);
+    }
+    return found;
+  }
+
+  /**
+   * Abstände zwischen aufeinanderfolgenden Punkten über maxGapMs (ms).
+   */
+  function findGaps(series, maxGapMs) {
+    const points = seriesUtils.toPoints(series);
+    const gaps = [];
+    for (let index = 1; index < points.length; index++) {
+      const gap = points[index].ts - points[index - 1].ts;
+      if (gap > maxGapMs) {
+        gaps.push(gap);
+      }
+    }
+    return gaps;
+  }
+
+  /**
+   * Einzelne Ausreißer: ein Punkt weicht von beiden Nachbarn in dieselbe Richtung um mehr als
+   * factor × robuste Streuung der Änderungen ab, während die Nachbarn nah beieinander liegen.
+   * Liefert die Zeitstempel der Ausreißer.
+   */
+  function findSpikes(series, factor) {
+    const points = seriesUtils.toPoints(series);
+    if (points.length < MIN_SPIKE_POINTS) {
+      return [];
+    }
+    const steps = [];
+    for (let index = 1; index < points.length; index++) {
+      steps.push(Math.abs(points[index].val - points[index - 1].val));
+    }
+    const values = points.map((point) => Math.abs(point.val));
+    const scale = Math.max(MAD_SCALE * utils.median(steps), 0.01 * utils.median(values), 0.1);
+    const limit = factor * scale;
+    const spikes = [];
+    for (let index = 1; index < points.length - 1; index++) {
+      const before = points[index].val - points[index - 1].val;
+      const after = points[index].val - points[index + 1].val;
+      const neighbours = Math.abs(points[index + 1].val - points[index - 1].val);
+      if (Math.sign(before) === Math.sign(after) && Math.abs(before) > limit && Math.abs(after) > limit && neighbours < limit / 2) {
+        spikes.push(points[index].ts);
+      }
+    }
+    return spikes;
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function format(value) {
+    return Number(value).toLocaleString("de-DE", { maximumFractionDigits: 1 });
+  }
+
+  function formatMinutes(minutes) {
+    if (minutes >= 48 * 60) {
+      return `${format(minutes / 60 / 24)} Tagen`;
+    }
+    return minutes >= 120 ? `${format(minutes / 60)} h` : `${Math.round(minutes)} min`;
+  }
+
+  return {
+    assess,
+    apply,
+  };
+};
@@ -0,0 +1,431 @@
+"use strict";
+
+const createUtils = require("./utils");
+
+const MAX_TEXT_ACTIONS = 5;
+
+const PRIORITY_ICONS = { high: "🔴", medium: "🟠", low: "🟢" };
+const QUALITY_ICONS = { bad: "🔴", warning: "🟠" };
+
+/**
+ * Beschriftungen je Sprache. Texte der Vorschläge selbst stammen aus der Analyse bzw. GPT.
+ */
+const LABELS = {
+  de: {
+    locale: "de-DE",
+    title: "AI-Autopilot Bericht",
+    sections: {
+      summary: "Überblick",
+      energy: "Energie",
+      cost: "Kosten",
+      forecast: "Prognose",
+      devices: "Geräte",
+      advisor: "PV-Überschuss",
+      water: "Wasser",
+      climate: "Raumklima",
+      actions: "Vorschläge",
+      dataQuality: "Datenqualität",
+      warnings: "Hinweise",
+    },
+    openActions: "Offene Vorschläge",
+    urgentActions: "Davon dringend",
+    noActions: "Keine offenen Vorschläge.",
+    moreActions: (count) => `… und ${count} weitere`,
+    houseConsumption: "Hausverbrauch",
+    pvPower: "PV-Leistung",
+    gridPower: "Netz",
+    batterySoc: "Batterie",
+    wallboxPower: "Wallbox",
+    pvYield: "PV-Ertrag (24 h)",
+    gridImport: "Netzbezug (24 h)",
+    gridExport: "Einspeisung (24 h)",
+    consumption: "Verbrauch (24 h)",
+    selfConsumptionRatio: "Eigenverbrauchsquote",
+    autarky: "Autarkie",
+    priceNow: "Strompreis aktuell",
+    costYesterday: "Stromkosten gestern",
+    costWeek: "Stromkosten 7 Tage",
+    savingsYesterday: "PV-Ersparnis gestern",
+    savingsWeek: "PV-Ersparnis 7 Tage",
+    consumerCost: (label) => `${label} (7 Tage)`,
+    forecastToday: "Heute erwartet",
+    forecastTomorrow: "Morgen erwartet",
+    forecastValue: (consumption, pv) => `Verbrauch ${consumption}, PV ${pv}`,
+    forecastSurplus: (day) => (day === "today" ? "Überschuss heute" : "Überschuss morgen"),
+    forecastAccuracy: "Treffsicherheit Verbrauch / PV",
+    deviceRuns: (count, kwh) => `${count} ${count === 1 ? "Lauf" : "Läufe"}, ${kwh} (24 h)`,
+    deviceRunning: (minutes) => `läuft seit ${minutes} min`,
+    surplusWindow: "Überschussfenster",
+    surplusNow: "Einspeisung aktuell",
+    batteryUnused: "Einspeisung bei nicht vollem Speicher",
+    perDay: "pro Tag",
+    clock: "Uhr",
+    leak: "Leckage gemeldet",
+    waterYesterday: (label) => `${label} gestern`,
+    waterNight: (label) => `${label} letzte Nacht`,
+    roomAverage: (label) => `${label} Ø 24 h`,
+    heatingPerHdd: "Heizenergie je Gradtag",
+    qualityChecked: "Geprüfte Datenpunkte",
+    qualityCounts: (checked, ok) => `${checked}, davon ${ok} in Ordnung`,
+    saving: "Ersparnis",
+    extraCost: "Mehrkosten",
+    perMonth: "pro Monat",
+  },
+  en: {
+    locale: "en-GB",
+    title: "AI-Autopilot report",
+    sections: {
+      summary: "Overview",
+      energy: "Energy",
+      cost: "Costs",
+      forecast: "Forecast",
+      devices: "Appliances",
+      advisor: "PV surplus",
+      water: "Water",
+      climate: "Indoor climate",
+      actions: "Suggestions",
+      dataQuality: "Data quality",
+      warnings: "Notes",
+    },
+    openActions: "Open suggestions",
+    urgentActions: "Urgent",
+    noActions: "No open suggestions.",
+    moreActions: (count) => `… and ${count} more`,
+    houseConsumption: "House consumption",
+    pvPower: "PV power",
+    gridPower: "Grid",
+    batterySoc: "Battery",
+    wallboxPower: "Wallbox",
+    pvYield: "PV yield (24 h)",
+    gridImport: "Grid import (24 h)",
+    gridExport: "Feed-in (24 h)",
+    consumption: "Consumption (24 h)",
+    selfConsumptionRatio: "Self-consumption ratio",
+    autarky: "Self-sufficiency",
+    priceNow: "Current electricity price",
+    costYesterday: "Electricity cost yesterday",
+    costWeek: "Electricity cost 7 days",
+    savingsYesterday: "PV savings yesterday",
+    savingsWeek: "PV savings 7 days",
+    consumerCost: (label) => `${label} (7 days)`,
+    forecastToday: "Expected today",
+    forecastTomorrow: "Expected tomorrow",
+    forecastValue: (consumption, pv) => `consumption ${consumption}, PV ${pv}`,
+    forecastSurplus: (day) => (day === "today" ? "Surplus today" : "Surplus tomorrow"),
+    forecastAccuracy: "Accuracy consumption / PV",
+    deviceRuns: (count, kwh) => `${count} ${count === 1 ? "run" : "runs"}, ${kwh} (24 h)`,
+    deviceRunning: (minutes) => `running for ${minutes} min`,
+    surplusWindow: "Surplus window",
+    surplusNow: "Current feed-in",
+    batteryUnused: "Feed-in while battery not full",
+    perDay: "per day",
+    clock: "",
+    leak: "Leak reported",
+    waterYesterday: (label) => `${label} yesterday`,
+    waterNight: (label) => `${label} last night`,
+    roomAverage: (label) => `${label} avg 24 h`,
+    heatingPerHdd: "Heating energy per degree day",
+    qualityChecked: "Checked datapoints",
+    qualityCounts: (checked, ok) => `${checked}, ${ok} fine`,
+    saving: "Savings",
+    extraCost: "Extra cost",
+    perMonth: "per month",
+  },
+};
+
+/**
+ * Rendert den Report als Markdown, HTML (z. B. für VIS oder E-Mail) und kurzen Text (Push).
+ * Abschnitte und Reihenfolge kommen aus config.report.sections bzw. textSections
+ * (summary, energy, cost, forecast, devices, advisor, water, climate, actions, dataQuality, warnings); Abschnitte ohne Daten entfallen.
+ */
+module.exports = () => {
+  const utils = createUtils();
+
+  /**
+   * Liefert { markdown, html, text } für einen fertigen Report.
+   */
+  function render(config, report) {
+    const reportConfig = config.report;
+    const labels = LABELS[reportConfig.language] || LABELS.de;
+    const format = createFormatter(labels.locale);
+    const title = reportConfig.title || labels.title;
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const timestamp = new Date(report.timestamp).toLocaleString(labels.locale, { timeZone });
+    const build = (sections, compact) =>
+      sections
+        .filter((key) => SECTION_BUILDERS[key])
+        .map((key) => ({ key, title: labels.sections[key], items: SECTION_BUILDERS[key](report, labels, format, compact) }))
+        .filter((section) => section.items.length);
+
+    return {
+      markdown: toMarkdown(title, timestamp, build(reportConfig.sections, false)),
+      html: toHtml(title, timestamp, build(reportConfig.sections, false)),
+      text: toText(title, timestamp, build(reportConfig.textSections, true)),
+    };
+  }
+
+  /**
+   * Baut je Abschnitt eine Liste von Einträgen { label, value, detail }.
+   */
+  const SECTION_BUILDERS = {
+    summary(report, labels) {
+      const actions = report.actions || [];
+      const urgent = actions.filter((action) => action.urgent).length;
+      const items = [{ label: labels.openActions, value: String(actions.length) }];
+      if (urgent) {
+        items.push({ label: labels.urgentActions, value: String(urgent) });
+      }
+      return items;
+    },
+
+    energy(report, labels, format, compact) {
+      const energy = (report.stats && report.stats.energy) || {};
+      const balance = (report.stats && report.stats.balance) || {};
+      const items = [
+        value(labels.houseConsumption, energy.houseConsumption, format.number),
+        value(labels.pvPower, energy.pvPower, format.number),
+        value(labels.gridPower, energy.gridPower, format.number),
+        value(labels.batterySoc, energy.batterySoc, (val) => `${format.number(val)} %`),
+        value(labels.wallboxPower, energy.wallboxPower, format.number),
+      ];
+      if (!compact) {
+        items.push(
+          value(labels.pvYield, balance.pvYieldKwh, format.kwh),
+          value(labels.gridImport, balance.gridImportKwh, format.kwh),
+          value(labels.gridExport, balance.gridExportKwh, format.kwh),
+          value(labels.consumption, balance.consumptionKwh, format.kwh),
+          value(labels.selfConsumptionRatio, balance.selfConsumptionRatio, format.percent),
+        );
+      }
+      items.push(value(labels.autarky, balance.autarky, format.percent));
+      return items.filter(Boolean);
+    },
+
+    cost(report, labels, format, compact) {
+      const cost = report.stats && report.stats.cost;
+      if (!cost) {
+        return [];
+      }
+      const yesterday = cost.yesterday || {};
+      const week = cost.week || {};
+      const items = [
+        value(labels.costYesterday, yesterday.net, format.euro),
+        value(labels.savingsYesterday, yesterday.savings, format.euro),
+        value(labels.costWeek, week.net, format.euro),
+        value(labels.savingsWeek, week.savings, format.euro),
+      ];
+      if (!compact) {
+        items.unshift(value(labels.priceNow, cost.priceNow, (val) => `${format.number(val * 100)} ct/kWh`));
+        const consumers = Object.values(week.consumers || {}).sort((a, b) => b.cost - a.cost);
+        for (const consumer of consumers) {
+          items.push(value(labels.consumerCost(consumer.label), consumer.cost, (val) => `${format.euro(val)} (${format.kwh(consumer.kwh)})`));
+        }
+      }
+      return items.filter(Boolean);
+    },
+
+    forecast(report, labels, format) {
+      const forecast = report.stats && report.stats.energy && report.stats.energy.forecast;
+      if (!forecast || !forecast.today) {
+        return [];
+      }
+      const kwh = (val) => (val === null || val === undefined ? "–" : format.kwh(val));
+      const percent = (val) => (val === null || val === undefined ? "–" : format.percent(val));
+      const day = (label, values) =>
+        values && (values.consumptionKwh !== null || values.pvKwh !== null)
+          ? { label, value: labels.forecastValue(kwh(values.consumptionKwh), kwh(values.pvKwh)) }
+          : null;
+      const window = forecast.surplusWindow;
+      const accuracy = forecast.accuracy || {};
+      const accuracyOf = (key) => (accuracy[key] ? accuracy[key].accuracy : null);
+      return [
+        day(labels.forecastToday, forecast.today),
+        day(labels.forecastTomorrow, forecast.tomorrow),
+        window
+          ? {
+              label: labels.forecastSurplus(window.day),
+              value: `${hour(window.startHour)}–${hour(window.endHour)}${labels.clock ? ` ${labels.clock}` : ""}, ${format.kwh(window.surplusKwh)}`,
+            }
+          : null,
+        accuracyOf("consumption") !== null || accuracyOf("pv") !== null
+          ? { label: labels.forecastAccuracy, value: `${percent(accuracyOf("consumption"))} / ${percent(accuracyOf("pv"))}` }
+          : null,
+      ].filter(Boolean);
+    },
+
+    devices(report, labels, format) {
+      const devices = (report.stats && report.stats.energy && report.stats.energy.devices) || {};
+      return Object.values(devices).map((device) => {
+        const running = device.runningMinutes ? labels.deviceRunning(device.runningMinutes) : "";
+        return {
+          label: device.label,
+          value: [labels.deviceRuns(device.cycles24h, format.kwh(device.kwh24h)), running].filter(Boolean).join(", "),
+        };
+      });
+    },
+
+    advisor(report, labels, format) {
+      const advisor = report.stats && report.stats.energy && report.stats.energy.advisor;
+      if (!advisor) {
+        return [];
+      }
+      const window = advisor.surplusWindow;
+      return [
+        window
+          ? {
+              label: labels.surplusWindow,
+              value: `${hour(window.startHour)}–${hour(window.endHour)}${labels.clock ? ` ${labels.clock}` : ""}, ${format.kwh(
+                window.exportKwh,
+              )} ${labels.perDay}`,
+            }
+          : null,
+        advisor.surplusNowW ? value(labels.surplusNow, advisor.surplusNowW, (val) => `${format.number(val)} W`) : null,
+        advisor.batteryUnusedKwh ? value(labels.batteryUnused, advisor.batteryUnusedKwh, (val) => `${format.kwh(val)} ${labels.perDay}`) : null,
+      ].filter(Boolean);
+    },
+
+    water(report, labels, format) {
+      const analysis = report.stats && report.stats.water && report.stats.water.analysis;
+      if (!analysis) {
+        return [];
+      }
+      const items = (analysis.leaksActive || []).map((objectId) => ({ label: labels.leak, value: objectId }));
+      for (const [objectId, meter] of Object.entries(analysis.meters || {})) {
+        const label = meter.label || objectId;
+        items.push(value(labels.waterYesterday(label), meter.yesterdayLiters, (val) => `${format.number(val)} l`));
+        items.push(value(labels.waterNight(label), meter.nightLiters, (val) => `${format.number(val)} l`));
+      }
+      return items.filter(Boolean);
+    },
+
+    climate(report, labels, format) {
+      const temperature = (report.stats && report.stats.temperature) || {};
+      const items = Object.values(temperature.rooms || {}).map((room) =>
+        value(labels.roomAverage(room.label), room.average, (val) => `${format.number(val)} °C`),
+      );
+      const heating = temperature.heating;
+      if (heating) {
+        items.push(value(labels.heatingPerHdd, heating.kwhPerHdd, format.kwh));
+      }
+      return items.filter(Boolean);
+    },
+
+    actions(report, labels, format, compact) {
+      const actions = [...(report.actions || [])].sort(
+        (a, b) =>
+          Number(b.urgent === true) - Number(a.urgent === true) ||
+          rank(b.priority) - rank(a.priority) ||
+          (b.impact ? b.impact.eur : 0) - (a.impact ? a.impact.eur : 0),
+      );
+      if (!actions.length) {
+        return [{ label: labels.noActions, value: "" }];
+      }
+      const shown = compact ? actions.slice(0, MAX_TEXT_ACTIONS) : actions;
+      const items = shown.map((action) => ({
+        label: `${PRIORITY_ICONS[action.priority] || "•"} ${action.title}`,
+        value: action.impact ? impactText(action, labels, format) : "",
+        detail: compact ? "" : action.description,
+      }));
+      if (actions.length > shown.length) {
+        items.push({ label: labels.moreActions(actions.length - shown.length), value: "" });
+      }
+      return items;
+    },
+
+    dataQuality(report, labels, format, compact) {
+      const quality = report.stats && report.stats.dataQuality;
+      if (!quality || !quality.checked) {
+        return [];
+      }
+      // Kurztext nur mit fehlerhaften Datenpunkten; die Befunde selbst stammen aus der Analyse.
+      const shown = Object.values(quality.dataPoints).filter((item) => (compact ? item.status === "bad" : item.status !== "ok"));
+      const items = shown
+        .sort((a, b) => Number(b.status === "bad") - Number(a.status === "bad"))
+        .map((item) => ({ label: `${QUALITY_ICONS[item.status]} ${item.label}`, value: item.issues.map((issue) => issue.message).join("; ") }));
+      if (!compact) {
+        items.unshift({ label: labels.qualityChecked, value: labels.qualityCounts(quality.checked, quality.ok) });
+      }
+      return items;
+    },
+
+    warnings(report) {
+      const warnings = (report.history && report.history.warnings) || [];
+      return warnings.map((warning) => ({ label: warning, value: "" }));
+    },
+  };
+
+  function toMarkdown(title, timestamp, sections) {
+    const lines = [`# ${title}`, "", `_${timestamp}_`];
+    for (const section of sections) {
+      lines.push("", `## ${section.title}`, "");
+      for (const item of section.items) {
+        lines.push(item.value ? `- **${item.label}:** ${item.value}` : `- ${item.label}`);
+        if (item.detail) {
+          lines.push(`  ${item.detail}`);
+        }
+      }
+    }
+    return lines.join("\n");
+  }
+
+  function toHtml(title, timestamp, sections) {
+    const parts = [`<div class="ai-autopilot-report">`, `<h1>${escapeHtml(title)}</h1>`, `<p><em>${escapeHtml(timestamp)}</em></p>`];
+    for (const section of sections) {
+      parts.push(`<h2>${escapeHtml(section.title)}</h2>`, "<ul>");
+      for (const item of section.items) {
+        const label = item.value ? `<strong>${escapeHtml(item.label)}:</strong> ${escapeHtml(item.value)}` : escapeHtml(item.label);
+        const detail = item.detail ? `<br><small>${escapeHtml(item.detail)}</small>` : "";
+        parts.push(`<li>${label}${detail}</li>`);
+      }
+      parts.push("</ul>");
+    }
+    parts.push("</div>");
+    return parts.join("\n");
+  }
+
+  function toText(title, timestamp, sections) {
+    const lines = [`🤖 ${title} ${timestamp}`];
+    for (const section of sections) {
+      lines.push("");
+      for (const item of section.items) {
+        lines.push(item.value ? `${item.label}: ${item.value}` : item.label);
+      }
+    }
+    return lines.join("\n");
+  }
+
+  function impactText(action, labels, format) {
+    const label = action.category === "recommendation" ? labels.saving : labels.extraCost;
+    return `${label} ~${format.euro(action.impact.eur)} ${labels.perMonth}`;
+  }
+
+  function createFormatter(locale) {
+    const number = (val) => Number(val).toLocaleString(locale, { maximumFractionDigits: 1 });
+    return {
+      number,
+      kwh: (val) => `${number(val)} kWh`,
+      percent: (val) => `${number(val)} %`,
+      euro: (val) => `${Number(val).toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} €`,
+    };
+  }
+
+  function value(label, val, formatValue) {
+    return val === null || val === undefined ? null : { label, value: formatValue(val) };
+  }
+
+  function rank(priority) {
+    return ["low", "medium", "high"].indexOf(priority);
+  }
+
+  function hour(value) {
+    return `${String(value).padStart(2, "0")}:00`;
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+  }
+
+  return {
+    render,
+  };
+};
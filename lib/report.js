@@ -1,29 +1,61 @@
 "use strict";
 
+const createRender = require("./render");
+
 /**
  * Report-Erstellung und Persistierung in States.
+ * Neben dem JSON werden Markdown, HTML und ein kurzer Text (für Push-Nachrichten) erzeugt.
  */
 module.exports = (adapter) => {
+  const renderer = createRender();
+
   /**
-   * Baut das finale Report-Objekt.
+   * Baut das finale Report-Objekt inkl. gerenderter Fassungen (rendered).
    */
   function build(config, liveContext, historyData, stats, actions) {
-    return {
+    const report = {
       timestamp: new Date().toISOString(),
       live: liveContext,
-      history: historyData,
+      history: summarizeHistory(historyData),
       stats,
       actions,
     };
+    report.rendered = renderer.render(config, report);
+    return report;
+  }
+
+  /**
+   * Nur Eckdaten der geladenen Fenster, Quellen und Warnungen in den Report übernehmen, nicht die Rohreihen.
+   */
+  function summarizeHistory(historyData) {
+    const windows = {};
+    for (const [key, window] of Object.entries((historyData && historyData.windows) || {})) {
+      windows[key] = {
+        start: new Date(window.start).toISOString(),
+        end: new Date(window.end).toISOString(),
+        aggregate: window.aggregate,
+        step: window.step,
+        points: Object.values(window.series).reduce((sum, series) => sum + series.length, 0),
+      };
+    }
+    return {
+      windows,
+      sources: (historyData && historyData.sources) || {},
+      warnings: (historyData && historyData.warnings) || [],
+    };
   }
 
   /**
    * Persistiert den Report in den vorgesehenen States.
    */
   async function persist(report) {
-    await adapter.setStateAsync("report.last", JSON.stringify(report), true);
+    const { rendered, ...data } = report;
+    await adapter.setStateAsync("report.last", JSON.stringify(data), true);
     await adapter.setStateAsync("report.stats", JSON.stringify(report.stats || {}), true);
     await adapter.setStateAsync("report.actions", JSON.stringify(report.actions || []), true);
+    await adapter.setStateAsync("report.markdown", rendered ? rendered.markdown : "", true);
+    await adapter.setStateAsync("report.html", rendered ? rendered.html : "", true);
+    await adapter.setStateAsync("report.text", rendered ? rendered.text : "", true);
   }
 
   /**
@@ -37,6 +69,9 @@ module.exports = (adapter) => {
     await adapter.setStateAsync("report.last", JSON.stringify(emptyReport), true);
     await adapter.setStateAsync("report.stats", JSON.stringify({}), true);
     await adapter.setStateAsync("report.actions", JSON.stringify([]), true);
+    await adapter.setStateAsync("report.markdown", "", true);
+    await adapter.setStateAsync("report.html", "", true);
+    await adapter.setStateAsync("report.text", emptyReport.info, true);
   }
 
   return {
@@ -1,48 +1,393 @@
 "use strict";
 
+const createSeries = require("./series");
+const createBaselines = require("./baselines");
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Standardregeln für Datenpunkte, auf die keine konfigurierte Regel passt.
+ * Solange für die aktuelle Stunde kein Profil gelernt ist, vergleicht die saisonale Regel relativ zum Durchschnitt.
+ */
+const DEFAULT_RULES = [
+  { id: "default-seasonal", enabled: true, target: "*", type: "seasonal", threshold: 3.5, fallbackThreshold: 0.3, severity: "low" },
+  { id: "default-stuck-temperature", enabled: true, target: "temperature.*", type: "stuck", hours: 24, severity: "low" },
+  { id: "default-stuck-room", enabled: true, target: "room", type: "stuck", hours: 24, severity: "low" },
+];
+
+const AVERAGE_RULES = ["relative", "absolute", "seasonal"];
+const DEFAULT_SEASONAL_THRESHOLD = 3.5;
+
+const DEFAULT_SEVERITY = {
+  relative: "medium",
+  absolute: "medium",
+  bounds: "high",
+  rate: "medium",
+  stuck: "medium",
+  duration: "medium",
+  seasonal: "medium",
+};
+
 /**
  * Regeln und Abweichungen erkennen.
+ * Regeln sind deklarativ je Datenpunkt (Object-ID) oder Kategorie (auch mit * als Platzhalter) konfigurierbar.
  */
 module.exports = (adapter) => {
+  const seriesUtils = createSeries();
+  const baselines = createBaselines(adapter);
+  const evaluators = {
+    relative: evaluateRelative,
+    absolute: evaluateAbsolute,
+    bounds: evaluateBounds,
+    rate: evaluateRate,
+    stuck: evaluateStuck,
+    duration: evaluateDuration,
+    seasonal: evaluateSeasonal,
+  };
+
   /**
-   * Detektiert einfache Abweichungen gegenüber Historie.
+   * Wertet alle passenden Regeln je Datenpunkt aus.
+   * Die gelernte Policy hebt Schwellwerte an oder schaltet einzelne Regeln eines Datenpunkts stumm.
+   * learned sind die gelernten Tages-/Wochenprofile aus memory.learning (für saisonale Regeln).
    */
-  function detectDeviations(config, liveContext, historyData, stats) {
+  function detectDeviations(config, liveContext, historyData, stats, policy = {}, learned = {}) {
     const deviations = [];
+    const now = Date.now();
+    const configuredRules = config.rules.filter((rule) => rule.enabled);
+    const interpolation = seriesUtils.interpolationFor(historyData);
 
     for (const entry of config.dataPoints) {
       if (!entry.enabled) {
         continue;
       }
-      const series = historyData[entry.objectId] || [];
-      if (!series.length) {
-        continue;
+
+      let matchingRules = configuredRules.filter((rule) => matchesTarget(rule.target, entry));
+      if (!matchingRules.length) {
+        matchingRules = DEFAULT_RULES.filter((rule) => matchesTarget(rule.target, entry));
       }
-      const avg = seriesAverage(series);
-      const current = liveContext.raw[entry.objectId];
-      if (avg !== null && current !== null && Number.isFinite(avg)) {
-        const diff = Number(current) - avg;
-        if (Math.abs(diff) > 0 && Math.abs(diff) > Math.abs(avg) * 0.3) {
-          deviations.push({
-            objectId: entry.objectId,
-            current,
-            average: avg,
-            delta: diff,
-          });
+
+      const current = seriesUtils.toNumber(liveContext.raw[entry.objectId]);
+      const series = seriesUtils.toPoints(historyData.series[entry.objectId]);
+      const cumulative = seriesUtils.isCumulative(entry);
+      const baseline = baselines.lookup(config, learned, entry.objectId, now);
+      const stateMeta = (liveContext.states || {})[entry.objectId];
+      const lastChangeTs = stateMeta && stateMeta.lc ? stateMeta.lc : null;
+
+      for (const rule of matchingRules) {
+        const evaluate = evaluators[rule.type];
+        if (!evaluate) {
+          adapter.log.warn(`Regel ${rule.id}: unbekannter Typ '${rule.type}'.`);
+          continue;
         }
+
+        // Zählerstände steigen stetig, ein Vergleich mit dem Mittelwert ist dort sinnlos.
+        if (cumulative && AVERAGE_RULES.includes(rule.type)) {
+          continue;
+        }
+
+        // Je Regel eigener Schlüssel: zwei Regeln gleichen Typs (z. B. „über“ und „unter“) lernen getrennt.
+        const learningKey = `${entry.objectId}:${rule.id}`;
+        const keyPolicy = policy[learningKey] || {};
+        if (keyPolicy.mutedUntil && Date.parse(keyPolicy.mutedUntil) > now) {
+          adapter.log.debug(`${learningKey} ist bis ${keyPolicy.mutedUntil} stummgeschaltet.`);
+          continue;
+        }
+
+        const result = evaluate(rule, { current, series, now, interpolation, baseline, lastChangeTs, factor: keyPolicy.thresholdFactor || 1 });
+        if (!result) {
+          continue;
+        }
+
+        const label = entry.description || entry.objectId;
+        deviations.push({
+          objectId: entry.objectId,
+          category: entry.category,
+          ruleId: rule.id,
+          type: rule.type,
+          severity: rule.severity || DEFAULT_SEVERITY[rule.type],
+          current,
+          reference: result.reference === undefined ? null : result.reference,
+          delta: result.delta === undefined ? null : result.delta,
+          learningKey,
+          title: result.title,
+          description: `${label}: ${result.description}`,
+          reason: result.reason,
+          ...(result.confidence === undefined ? {} : { confidence: result.confidence }),
+        });
       }
     }
 
+    const baseLoadDeviation = detectBaseLoadIncrease(config, stats, policy, now);
+    if (baseLoadDeviation) {
+      deviations.push(baseLoadDeviation);
+    }
+
     adapter.log.debug(`Abweichungen gefunden: ${deviations.length}`);
     return deviations;
   }
 
-  function seriesAverage(series) {
-    const values = series.map((item) => Number(item.val)).filter((val) => Number.isFinite(val));
-    if (!values.length) {
+  /**
+   * Meldet eine gestiegene Grundlast gegenüber der Vorwoche (ersatzweise dem Vortag).
+   */
+  function detectBaseLoadIncrease(config, stats, policy, now) {
+    const baseline = stats && stats.baseline;
+    if (!baseline || baseline.baseLoad === null) {
+      return null;
+    }
+    const comparison = baseline.comparison.previousWeek || baseline.comparison.previousDay;
+    if (!comparison || comparison.baseLoadDelta === null) {
+      return null;
+    }
+
+    const learningKey = "baseline:baseLoad";
+    const keyPolicy = policy[learningKey] || {};
+    if (keyPolicy.mutedUntil && Date.parse(keyPolicy.mutedUntil) > now) {
+      return null;
+    }
+    const threshold = Math.max(config.analysis.baseLoadIncreaseW, comparison.baseLoad * 0.15) * (keyPolicy.thresholdFactor || 1);
+    if (comparison.baseLoadDelta <= threshold) {
+      return null;
+    }
+
+    const since = baseline.comparison.previousWeek ? "seit letzter Woche" : "seit gestern";
+    return {
+      objectId: "",
+      category: "energy.houseConsumption",
+      ruleId: "baseline",
+      type: "baseLoad",
+      severity: "medium",
+      current: baseline.baseLoad,
+      reference: comparison.baseLoad,
+      delta: comparison.baseLoadDelta,
+      learningKey,
+      title: "Grundlast gestiegen",
+      description: `Die nächtliche Grundlast ist ${since} um ${format(comparison.baseLoadDelta)} W gestiegen.`,
+      reason: `Grundlast ${format(baseline.baseLoad)} W (${baseline.nightHours}), am ${comparison.date} ${format(comparison.baseLoad)} W`,
+    };
+  }
+
+  /**
+   * Ziel einer Regel: "*", Object-ID oder Kategorie, jeweils mit * als Platzhalter.
+   */
+  function matchesTarget(target, entry) {
+    const pattern = new RegExp(`^${String(target || "*").split("*").map(escapeRegExp).join(".*")}$`);
+    return pattern.test(entry.objectId) || pattern.test(entry.category);
+  }
+
+  /**
+   * Relative Abweichung vom Durchschnitt (threshold als Anteil, 0.3 = 30 %).
+   */
+  function evaluateRelative(rule, { current, series, now, interpolation, factor }) {
+    const avg = seriesUtils.timeWeightedAverage(series, { end: now, interpolation });
+    if (current === null || avg === null || avg === 0 || !Number.isFinite(rule.threshold)) {
+      return null;
+    }
+    const delta = current - avg;
+    const threshold = rule.threshold * factor;
+    if (Math.abs(delta) <= Math.abs(avg) * threshold) {
+      return null;
+    }
+    return {
+      reference: avg,
+      delta,
+      title: delta > 0 ? "Ungewöhnlich hoher Wert" : "Ungewöhnlich niedriger Wert",
+      description: `Der aktuelle Wert weicht um ${format((delta / Math.abs(avg)) * 100)} % vom Durchschnitt ab.`,
+      reason: `Aktuell ${format(current)}, Durchschnitt ${format(avg)} (Schwelle ${format(threshold * 100)} %)`,
+    };
+  }
+
+  /**
+   * Absolute Abweichung vom Durchschnitt in der Einheit des Datenpunkts.
+   */
+  function evaluateAbsolute(rule, { current, series, now, interpolation, factor }) {
+    const avg = seriesUtils.timeWeightedAverage(series, { end: now, interpolation });
+    if (current === null || avg === null || !Number.isFinite(rule.threshold)) {
+      return null;
+    }
+    const delta = current - avg;
+    const threshold = rule.threshold * factor;
+    if (Math.abs(delta) <= threshold) {
+      return null;
+    }
+    return {
+      reference: avg,
+      delta,
+      title: delta > 0 ? "Ungewöhnlich hoher Wert" : "Ungewöhnlich niedriger Wert",
+      description: `Der aktuelle Wert liegt ${format(Math.abs(delta))} ${delta > 0 ? "über" : "unter"} dem Durchschnitt.`,
+      reason: `Aktuell ${format(current)}, Durchschnitt ${format(avg)} (Schwelle ${format(threshold)})`,
+    };
+  }
+
+  /**
+   * Abweichung vom gelernten Profil der Stunde (Wochentag+Stunde, sonst Stunde des Tages).
+   * Robuster z-Wert (Abstand zum Median in robusten Standardabweichungen), threshold ist die
+   * Schwelle dafür (Standard 3,5). Die Konfidenz steigt mit dem z-Wert und der Zahl gelernter Werte.
+   * Ohne ausreichendes Profil gilt optional fallbackThreshold als relative Schwelle.
+   */
+  function evaluateSeasonal(rule, context) {
+    const { current, baseline, factor } = context;
+    if (!baseline) {
+      return Number.isFinite(rule.fallbackThreshold) ? evaluateRelative({ ...rule, threshold: rule.fallbackThreshold }, context) : null;
+    }
+    if (current === null || !(baseline.scale > 0)) {
+      return null;
+    }
+    const threshold = (Number.isFinite(rule.threshold) ? rule.threshold : DEFAULT_SEASONAL_THRESHOLD) * factor;
+    const delta = current - baseline.median;
+    const score = delta / baseline.scale;
+    if (!Number.isFinite(score) || Math.abs(score) <= threshold) {
+      return null;
+    }
+    const confidence = round(Math.min(Math.abs(score) / (2 * threshold), 1) * Math.min(baseline.samples / 8, 1));
+    const profile = baseline.profile === "week" ? "diesen Wochentag und diese Uhrzeit" : "diese Uhrzeit";
+    return {
+      reference: baseline.median,
+      delta,
+      confidence,
+      title: delta > 0 ? "Ungewöhnlich hoher Wert für diese Uhrzeit" : "Ungewöhnlich niedriger Wert für diese Uhrzeit",
+      description: `Der aktuelle Wert ${format(current)} liegt ${delta > 0 ? "über" : "unter"} dem für ${profile} üblichen Wert ${format(
+        baseline.median,
+      )}.`,
+      reason: `Robuster z-Wert ${format(score)} (Schwelle ${format(threshold)}), ${baseline.samples} gelernte Werte, Konfidenz ${Math.round(
+        confidence * 100,
+      )} %`,
+    };
+  }
+
+  /**
+   * Fester Wertebereich (min und/oder max).
+   */
+  function evaluateBounds(rule, { current }) {
+    if (current === null) {
+      return null;
+    }
+    if (rule.min !== null && current < rule.min) {
+      return {
+        reference: rule.min,
+        delta: current - rule.min,
+        title: "Wert unter Minimum",
+        description: `Der Wert ${format(current)} liegt unter dem Minimum ${format(rule.min)}.`,
+        reason: `Aktuell ${format(current)}, Minimum ${format(rule.min)}`,
+      };
+    }
+    if (rule.max !== null && current > rule.max) {
+      return {
+        reference: rule.max,
+        delta: current - rule.max,
+        title: "Wert über Maximum",
+        description: `Der Wert ${format(current)} liegt über dem Maximum ${format(rule.max)}.`,
+        reason: `Aktuell ${format(current)}, Maximum ${format(rule.max)}`,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Änderungsrate pro Stunde gegenüber dem Wert vor rule.minutes Minuten.
+   */
+  function evaluateRate(rule, { current, series, now, factor }) {
+    const minutes = rule.minutes || 60;
+    const past = seriesUtils.valueAt(series, now - minutes * MINUTE_MS);
+    if (current === null || past === null || !Number.isFinite(rule.threshold)) {
+      return null;
+    }
+    const ratePerHour = (current - past) / (minutes / 60);
+    const threshold = rule.threshold * factor;
+    if (Math.abs(ratePerHour) <= threshold) {
+      return null;
+    }
+    return {
+      reference: past,
+      delta: current - past,
+      title: ratePerHour > 0 ? "Schneller Anstieg" : "Schneller Abfall",
+      description: `Der Wert ändert sich um ${format(ratePerHour)} pro Stunde.`,
+      reason: `Vor ${minutes} min ${format(past)}, jetzt ${format(current)} (Schwelle ${format(threshold)}/h)`,
+    };
+  }
+
+  /**
+   * Wert seit mindestens rule.hours Stunden unverändert (hängender Sensor).
+   * Maßgeblich ist die letzte Änderung des States (lc); ein hängender Sensor schreibt bei
+   * onchange-Aufzeichnung keine Punkte, die Historie dient nur als Ersatz ohne lc.
+   */
+  function evaluateStuck(rule, { current, series, now, lastChangeTs }) {
+    const hours = rule.hours || 24;
+    const since = now - hours * HOUR_MS;
+    if (current === null) {
+      return null;
+    }
+    if (lastChangeTs) {
+      if (lastChangeTs >= since) {
+        return null;
+      }
+    } else {
+      // Die Historie beginnt erst mit dem Abfragefenster, daher genügt eine Abdeckung von 90 %.
+      if (!series.length || now - series[0].ts < hours * HOUR_MS * 0.9) {
+        return null;
+      }
+      const lastChange = [...series].reverse().find((point) => point.val !== current);
+      if (lastChange && lastChange.ts >= since) {
+        return null;
+      }
+    }
+    return {
+      reference: current,
+      delta: 0,
+      title: "Sensorwert unverändert",
+      description: `Der Wert steht seit über ${format(hours)} Stunden unverändert auf ${format(current)}.`,
+      reason: "Möglicherweise ist der Sensor ausgefallen oder hängt.",
+    };
+  }
+
+  /**
+   * Wert durchgehend über bzw. unter threshold für mindestens rule.minutes Minuten.
+   * Der Live-Wert gilt bis jetzt und seit seiner letzten Änderung (lc): ein onchange-Wert, der das ganze
+   * Fenster über konstant bleibt, hat sonst keinen Punkt in der Reihe.
+   */
+  function evaluateDuration(rule, { current, series, now, lastChangeTs }) {
+    const minutes = rule.minutes || 30;
+    const since = now - minutes * MINUTE_MS;
+    if (current === null || !Number.isFinite(rule.threshold)) {
       return null;
     }
-    return values.reduce((sum, val) => sum + val, 0) / values.length;
+    const below = rule.operator === "below";
+    const holds = (value) => (below ? value < rule.threshold : value > rule.threshold);
+    if (!holds(current)) {
+      return null;
+    }
+
+    let coveredSince = lastChangeTs && lastChangeTs < now ? lastChangeTs : now;
+    for (let index = series.length - 1; index >= 0; index--) {
+      if (!holds(series[index].val)) {
+        break;
+      }
+      coveredSince = Math.min(coveredSince, series[index].ts);
+    }
+    if (coveredSince > since) {
+      return null;
+    }
+
+    const durationMinutes = Math.round((now - coveredSince) / MINUTE_MS);
+    return {
+      reference: rule.threshold,
+      delta: current - rule.threshold,
+      title: below ? "Wert dauerhaft zu niedrig" : "Wert dauerhaft zu hoch",
+      description: `Der Wert liegt seit ${durationMinutes} min ${below ? "unter" : "über"} ${format(rule.threshold)}.`,
+      reason: `Aktuell ${format(current)}, Grenze ${format(rule.threshold)} für mindestens ${minutes} min`,
+    };
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function format(value) {
+    return Number.isFinite(value) ? String(Math.round(value * 100) / 100) : "-";
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
   }
 
   return {
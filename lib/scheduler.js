@@ -1,55 +1,261 @@
 "use strict";
 
+const createUtils = require("./utils");
+
+const MINUTE_MS = 60 * 1000;
+const CATCH_UP_WINDOW_MS = 7 * 24 * 60 * MINUTE_MS;
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
 /**
  * Scheduler für tägliche Reports.
+ * Wertet Uhrzeiten, Wochentage und Cron-Ausdrücke in der konfigurierten Zeitzone aus
+ * und holt einen verpassten Termin nach dem Start einmalig nach.
  */
 module.exports = (adapter) => {
+  const utils = createUtils();
+
   let timer = null;
+  let lastSlotKey = "";
+  // Nach stop() darf weder ein laufender Tick noch das Nachholen im Hintergrund noch einen Lauf auslösen.
+  let stopped = false;
 
   /**
    * Startet den Scheduler basierend auf Konfiguration.
+   * onRun erhält den Trigger ("scheduler" bzw. "scheduler.catchup").
    */
   async function start(config, onRun) {
+    stopped = false;
     if (!config.scheduler.enabled) {
       adapter.log.info("Scheduler deaktiviert.");
       return;
     }
 
-    const [hours, minutes] = parseTime(config.scheduler.time);
-    const intervalMs = 60 * 1000;
+    const plan = buildPlan(config.scheduler);
+    if (!plan.times.length && !plan.crons.length) {
+      adapter.log.warn("Scheduler aktiviert, aber keine gültige Uhrzeit oder Cron-Ausdruck konfiguriert.");
+      return;
+    }
 
-    timer = setInterval(async () => {
-      const now = new Date();
-      if (now.getUTCHours() === hours && now.getUTCMinutes() === minutes) {
-        await onRun();
+    const tick = async () => {
+      if (stopped) {
+        return;
+      }
+      const now = Date.now();
+      scheduleTick(tick, now);
+      const parts = utils.zonedParts(now, plan.timeZone);
+      const key = slotKey(parts);
+      if (key !== lastSlotKey && matchesPlan(plan, parts)) {
+        lastSlotKey = key;
+        await onRun("scheduler");
       }
-    }, intervalMs);
+    };
 
-    adapter.log.info("Scheduler aktiv.");
+    scheduleTick(tick, Date.now());
+
+    adapter.log.info(
+      `Scheduler aktiv (Zeitzone ${plan.timeZone}, Zeiten: ${plan.times.map(formatTime).join(", ") || "-"}, ` +
+        `Cron: ${plan.crons.map((cron) => cron.source).join("; ") || "-"}).`,
+    );
+    // Nachholen läuft im Hintergrund, damit der Start nicht auf die ganze Analyse wartet.
+    catchUp(plan, onRun).catch((error) => adapter.log.warn(`Nachholen fehlgeschlagen: ${error.message}`));
   }
 
   /**
    * Stoppt den Scheduler.
    */
   async function stop() {
+    stopped = true;
     if (timer) {
-      clearInterval(timer);
+      clearTimeout(timer);
       timer = null;
     }
   }
 
+  /**
+   * Plant den nächsten Tick kurz nach dem nächsten Minutenwechsel (kein Drift wie bei setInterval).
+   */
+  function scheduleTick(tick, now) {
+    const delay = MINUTE_MS - (now % MINUTE_MS) + 1000;
+    timer = setTimeout(tick, delay);
+  }
+
+  /**
+   * Ermittelt den letzten fälligen Termin vor dem Start und holt ihn nach,
+   * falls meta.lastDailyReportTs älter ist.
+   */
+  async function catchUp(plan, onRun) {
+    const lastState = await adapter.getStateAsync("meta.lastDailyReportTs");
+    const lastTs = lastState && lastState.val ? Date.parse(lastState.val) : NaN;
+    if (!Number.isFinite(lastTs)) {
+      adapter.log.debug("Kein vorheriger Tagesreport bekannt, kein Nachholen.");
+      return;
+    }
+
+    const now = Date.now();
+    const lowerBound = Math.max(lastTs, now - CATCH_UP_WINDOW_MS);
+    let slotTs = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    while (slotTs > lowerBound) {
+      const parts = utils.zonedParts(slotTs, plan.timeZone);
+      if (matchesPlan(plan, parts)) {
+        if (stopped) {
+          return;
+        }
+        adapter.log.info(`Verpassten Termin ${new Date(slotTs).toISOString()} erkannt, Report wird nachgeholt.`);
+        lastSlotKey = slotKey(parts);
+        await onRun("scheduler.catchup");
+        return;
+      }
+      slotTs -= MINUTE_MS;
+    }
+  }
+
+  /**
+   * Baut den Zeitplan aus der Konfiguration.
+   */
+  function buildPlan(schedulerConfig) {
+    let timeZone = schedulerConfig.timezone;
+    if (!utils.isValidTimeZone(timeZone)) {
+      adapter.log.warn(`Unbekannte Zeitzone '${timeZone}', verwende UTC.`);
+      timeZone = "UTC";
+    }
+
+    const times = [];
+    for (const entry of String(schedulerConfig.time || "").split(/[,;\s]+/).filter(Boolean)) {
+      const time = parseTime(entry);
+      if (time) {
+        times.push(time);
+      } else {
+        adapter.log.warn(`Ungültige Uhrzeit '${entry}' im Scheduler ignoriert (erwartet HH:MM).`);
+      }
+    }
+
+    const days = new Set(
+      String(schedulerConfig.days || "")
+        .toLowerCase()
+        .split(/[,;\s]+/)
+        .map((day) => utils.WEEKDAYS.indexOf(day.slice(0, 3)))
+        .filter((day) => day >= 0),
+    );
+
+    const crons = [];
+    for (const expression of String(schedulerConfig.cron || "").split(";").map((entry) => entry.trim()).filter(Boolean)) {
+      const cron = parseCron(expression);
+      if (cron) {
+        crons.push(cron);
+      } else {
+        adapter.log.warn(`Ungültiger Cron-Ausdruck '${expression}' ignoriert.`);
+      }
+    }
+
+    return { timeZone, times, days, crons };
+  }
+
+  function matchesPlan(plan, parts) {
+    const timeMatch =
+      plan.days.has(parts.weekday) &&
+      plan.times.some((time) => time.hours === parts.hour && time.minutes === parts.minute);
+    return timeMatch || plan.crons.some((cron) => matchesCron(cron, parts));
+  }
+
+  function slotKey(parts) {
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+  }
+
   /**
    * Parst Uhrzeit im Format HH:MM.
    */
   function parseTime(time) {
-    const parts = String(time).split(":");
-    const hours = Number(parts[0] || 0);
-    const minutes = Number(parts[1] || 0);
-    return [hours, minutes];
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+    if (!match) {
+      return null;
+    }
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) {
+      return null;
+    }
+    return { hours, minutes };
+  }
+
+  function formatTime(time) {
+    return `${String(time.hours).padStart(2, "0")}:${String(time.minutes).padStart(2, "0")}`;
+  }
+
+  /**
+   * Parst einen Cron-Ausdruck mit fünf Feldern (Minute Stunde Tag Monat Wochentag).
+   * Unterstützt *, Listen, Bereiche, Schrittweiten sowie Monats- und Wochentagsnamen.
+   */
+  function parseCron(expression) {
+    const fields = expression.split(/\s+/);
+    if (fields.length !== 5) {
+      return null;
+    }
+
+    const minute = parseCronField(fields[0], 0, 59);
+    const hour = parseCronField(fields[1], 0, 23);
+    const dayOfMonth = parseCronField(fields[2], 1, 31);
+    const month = parseCronField(fields[3], 1, 12, MONTH_NAMES, 1);
+    const dayOfWeek = parseCronField(fields[4], 0, 7, utils.WEEKDAYS, 0);
+    if (!minute || !hour || !dayOfMonth || !month || !dayOfWeek) {
+      return null;
+    }
+    if (dayOfWeek.values.has(7)) {
+      dayOfWeek.values.add(0);
+    }
+
+    return { source: expression, minute, hour, dayOfMonth, month, dayOfWeek };
+  }
+
+  function parseCronField(field, min, max, names, nameOffset) {
+    const values = new Set();
+    const resolve = (token) => {
+      const index = names ? names.indexOf(token.toLowerCase()) : -1;
+      return index >= 0 ? index + nameOffset : Number(token);
+    };
+
+    for (const part of field.split(",")) {
+      const [range, stepText] = part.split("/");
+      const step = stepText === undefined ? 1 : Number(stepText);
+      let start = min;
+      let end = max;
+      if (range !== "*") {
+        const [from, to] = range.split("-");
+        start = resolve(from);
+        end = to === undefined ? (stepText === undefined ? start : max) : resolve(to);
+      }
+      if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+        return null;
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    // Wie bei cron gilt ein Feld mit führendem "*" (auch "*/2") als nicht eingeschränkt.
+    return { values, wildcard: field.startsWith("*") };
+  }
+
+  /**
+   * Tag-des-Monats und Wochentag werden wie bei cron ODER-verknüpft, wenn beide eingeschränkt sind
+   * (also keines der beiden Felder mit "*" beginnt).
+   */
+  function matchesCron(cron, parts) {
+    if (!cron.minute.values.has(parts.minute) || !cron.hour.values.has(parts.hour) || !cron.month.values.has(parts.month)) {
+      return false;
+    }
+    const domMatch = cron.dayOfMonth.values.has(parts.day);
+    const dowMatch = cron.dayOfWeek.values.has(parts.weekday);
+    if (cron.dayOfMonth.wildcard || cron.dayOfWeek.wildcard) {
+      return domMatch && dowMatch;
+    }
+    return domMatch || dowMatch;
   }
 
   return {
     start,
     stop,
+    parseTime,
+    parseCron,
   };
 };
@@ -0,0 +1,318 @@
+"use strict";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const POWER_UNITS = { w: 1 / 1000, kw: 1, mw: 1000 };
+const ENERGY_UNITS = { wh: 1 / 1000, kwh: 1, mwh: 1000 };
+const VOLUME_UNITS = { l: 1, "m³": 1000, m3: 1000 };
+
+/**
+ * Zeitreihen-Hilfen für History-Daten (onchange bzw. aggregiert).
+ * options.interpolation legt fest, wie zwischen zwei Punkten gewichtet wird:
+ * - "step" (Standard, onchange-Rohdaten): jeder Wert gilt bis zum nächsten Punkt (Treppenfunktion)
+ * - "linear" (aggregierte bzw. abgetastete Werte): linear zwischen den Punkten (Trapezregel wie Influx integral())
+ * Mittelwerte, Quantile und Energie-Integrale gewichten damit gleich; der letzte Wert gilt stets bis options.end.
+ * Zählerstände werden über Zuwächse inkl. Reset- und Überlauf-Erkennung ausgewertet.
+ */
+module.exports = () => {
+  /**
+   * Wandelt History-Einträge in sortierte numerische Punkte { ts, val } um.
+   */
+  function toPoints(series) {
+    return (series || [])
+      .map((item) => ({ ts: Number(item.ts), val: toNumber(item.val) }))
+      .filter((point) => Number.isFinite(point.ts) && point.val !== null)
+      .sort((a, b) => a.ts - b.ts);
+  }
+
+  /**
+   * Zerlegt die Reihe in Segmente zwischen zwei Punkten.
+   * Der letzte Wert gilt bis options.end (falls angegeben) weiter.
+   */
+  function segments(points, options = {}) {
+    const result = [];
+    for (let index = 1; index < points.length; index++) {
+      result.push({ from: points[index - 1], to: points[index] });
+    }
+    const last = points[points.length - 1];
+    if (last && Number.isFinite(options.end) && options.end > last.ts) {
+      result.push({ from: last, to: { ts: options.end, val: last.val } });
+    }
+    if (options.include) {
+      return result.filter((segment) => options.include((segment.from.ts + segment.to.ts) / 2));
+    }
+    return result;
+  }
+
+  /**
+   * Interpolation für die Reihen eines History-Fensters (bzw. historyData für die 24h-Reihen):
+   * onchange-Rohdaten als Treppe, aggregierte Werte linear.
+   */
+  function interpolationFor(window) {
+    return window && window.aggregate && window.aggregate !== "onchange" ? "linear" : "step";
+  }
+
+  /**
+   * Fläche eines Segments (Wert × Dauer) nach options.interpolation.
+   */
+  function segmentArea(from, to, options) {
+    const value = options.interpolation === "linear" ? (from.val + to.val) / 2 : from.val;
+    return value * (to.ts - from.ts);
+  }
+
+  /**
+   * Zeitgewichteter Mittelwert (jeder Wert zählt mit der Dauer, die er gilt).
+   * options.include filtert Segmente anhand ihres Mittelpunkts (z. B. nur Nachtstunden).
+   */
+  function timeWeightedAverage(series, options = {}) {
+    const points = toPoints(series);
+    if (points.length === 1 && !options.include) {
+      return points[0].val;
+    }
+    let area = 0;
+    let duration = 0;
+    for (const { from, to } of segments(points, options)) {
+      area += segmentArea(from, to, options);
+      duration += to.ts - from.ts;
+    }
+    return duration > 0 ? area / duration : null;
+  }
+
+  /**
+   * Zeitgewichtetes Quantil: jeder Wert zählt mit der Dauer, die er gilt.
+   * Bei linearer Interpolation teilen sich Anfangs- und Endwert eines Segments dessen Dauer.
+   */
+  function timeWeightedQuantile(series, q, options = {}) {
+    const linear = options.interpolation === "linear";
+    const weighted = segments(toPoints(series), options)
+      .flatMap(({ from, to }) =>
+        linear
+          ? [
+              { val: from.val, weight: (to.ts - from.ts) / 2 },
+              { val: to.val, weight: (to.ts - from.ts) / 2 },
+            ]
+          : [{ val: from.val, weight: to.ts - from.ts }],
+      )
+      .filter((entry) => entry.weight > 0)
+      .sort((a, b) => a.val - b.val);
+    const total = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+    if (!total) {
+      return null;
+    }
+    let accumulated = 0;
+    for (const entry of weighted) {
+      accumulated += entry.weight;
+      if (accumulated >= total * q) {
+        return entry.val;
+      }
+    }
+    return weighted[weighted.length - 1].val;
+  }
+
+  /**
+   * Integral über die Zeit in Wert-Stunden (z. B. W -> Wh), getrennt nach positivem
+   * und negativem Anteil. Treppe bei onchange-Daten, Trapezregel bei options.interpolation "linear"
+   * (ein Vorzeichenwechsel innerhalb eines Segments wird am Nulldurchgang geteilt).
+   * options.weight gewichtet jedes Segment anhand seines Mittelpunkts (z. B. Preis je kWh).
+   */
+  function integrate(series, options = {}) {
+    let positive = 0;
+    let negative = 0;
+    for (const { from, to } of segments(toPoints(series), options)) {
+      const duration = (to.ts - from.ts) / HOUR_MS;
+      if (duration <= 0) {
+        continue;
+      }
+      const hours = options.weight ? duration * options.weight((from.ts + to.ts) / 2) : duration;
+      const start = from.val;
+      const end = options.interpolation === "linear" ? to.val : from.val;
+      if (start >= 0 && end >= 0) {
+        positive += ((start + end) / 2) * hours;
+      } else if (start <= 0 && end <= 0) {
+        negative -= ((start + end) / 2) * hours;
+      } else {
+        // Anteil vor dem Nulldurchgang
+        const share = start / (start - end);
+        const before = (start / 2) * share * hours;
+        const after = (end / 2) * (1 - share) * hours;
+        positive += Math.max(before, after);
+        negative -= Math.min(before, after);
+      }
+    }
+    return { positive, negative, net: positive - negative };
+  }
+
+  /**
+   * Zeitgewichtete Mittelwerte je voller Stunde (Segmente werden an Stundengrenzen geteilt).
+   * Liefert [{ ts: Stundenbeginn, val }] für Stunden zwischen options.start und options.end,
+   * die mindestens zur Hälfte durch Daten abgedeckt sind.
+   */
+  function hourlyAverages(series, options = {}) {
+    const points = toPoints(series);
+    const hours = new Map();
+    for (const { from, to } of segments(points, { end: options.end })) {
+      // Wert innerhalb des Segments (bei "linear" interpoliert)
+      const valueIn = (ts) =>
+        options.interpolation === "linear" ? from.val + ((to.val - from.val) * (ts - from.ts)) / (to.ts - from.ts) : from.val;
+      let start = Math.max(from.ts, options.start || -Infinity);
+      const end = Math.min(to.ts, options.end || Infinity);
+      while (start < end) {
+        const hourStart = Math.floor(start / HOUR_MS) * HOUR_MS;
+        const pieceEnd = Math.min(end, hourStart + HOUR_MS);
+        const bucket = hours.get(hourStart) || { area: 0, duration: 0 };
+        bucket.area += ((valueIn(start) + valueIn(pieceEnd)) / 2) * (pieceEnd - start);
+        bucket.duration += pieceEnd - start;
+        hours.set(hourStart, bucket);
+        start = pieceEnd;
+      }
+    }
+    return [...hours.entries()]
+      .filter(([, bucket]) => bucket.duration >= HOUR_MS / 2)
+      .map(([ts, bucket]) => ({ ts, val: bucket.area / bucket.duration }))
+      .sort((a, b) => a.ts - b.ts);
+  }
+
+  /**
+   * Letzter bekannter Wert zum Zeitpunkt ts (binäre Suche, points sortiert wie von toPoints).
+   */
+  function valueAt(points, ts) {
+    let low = 0;
+    let high = points.length - 1;
+    let found = null;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (points[middle].ts <= ts) {
+        found = points[middle].val;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Längstes aktuelles History-Fenster (z. B. 7d), das bis höchstens eine Stunde vor now reicht.
+   */
+  function longestWindow(historyData, now) {
+    return (
+      Object.values((historyData && historyData.windows) || {})
+        .filter((window) => now - window.end < HOUR_MS)
+        .sort((a, b) => a.start - b.start)[0] || null
+    );
+  }
+
+  /**
+   * Verbrauch eines monoton steigenden Zählers über das Fenster.
+   * - Zuwachs: wird addiert
+   * - Überlauf (Wert nahe rollover springt auf kleinen Wert): Rest bis rollover plus neuer Wert
+   * - Reset (z. B. Tageszähler um Mitternacht, Wert fällt unter die Hälfte): neuer Wert zählt ab 0
+   * - kleine Rückgänge (Messrauschen) werden ignoriert
+   */
+  function counterDelta(series, options = {}) {
+    const points = toPoints(series);
+    if (points.length < 2) {
+      return null;
+    }
+    const rollover = Number(options.rollover) > 0 ? Number(options.rollover) : null;
+
+    let delta = 0;
+    let reference = points[0].val;
+    let resets = 0;
+    for (let index = 1; index < points.length; index++) {
+      const value = points[index].val;
+      if (value >= reference) {
+        delta += value - reference;
+        reference = value;
+      } else if (rollover && reference >= rollover * 0.9 && value <= rollover * 0.1) {
+        delta += rollover - reference + value;
+        reference = value;
+        resets++;
+      } else if (value < reference * 0.5) {
+        delta += value;
+        reference = value;
+        resets++;
+      }
+    }
+    return { delta, resets };
+  }
+
+  /**
+   * Kumulative Größen (Energie- oder Volumenzähler) statt Momentanwerte.
+   */
+  function isCumulative(entry) {
+    const unit = normalizeUnit(entry.unit);
+    if (POWER_UNITS[unit] !== undefined) {
+      return false;
+    }
+    return ENERGY_UNITS[unit] !== undefined || VOLUME_UNITS[unit] !== undefined || entry.isTotalMeter === true;
+  }
+
+  /**
+   * Umrechnungsfaktor einer Leistungseinheit nach kW (Standard W).
+   */
+  function powerFactorKw(unit) {
+    const factor = POWER_UNITS[normalizeUnit(unit)];
+    return factor === undefined ? POWER_UNITS.w : factor;
+  }
+
+  /**
+   * Umrechnungsfaktor einer Energieeinheit nach kWh (null, wenn keine Energieeinheit).
+   */
+  function energyFactorKwh(unit) {
+    const factor = ENERGY_UNITS[normalizeUnit(unit)];
+    return factor === undefined ? null : factor;
+  }
+
+  /**
+   * Umrechnungsfaktor einer Volumeneinheit nach Liter (ohne Einheit wird m³ angenommen).
+   */
+  function volumeFactorL(unit) {
+    const factor = VOLUME_UNITS[normalizeUnit(unit)];
+    return factor === undefined ? VOLUME_UNITS["m³"] : factor;
+  }
+
+  /**
+   * Art einer Einheit: "power", "energy", "volume" oder null (unbekannt bzw. leer).
+   */
+  function unitKind(unit) {
+    const normalized = normalizeUnit(unit);
+    if (POWER_UNITS[normalized] !== undefined) {
+      return "power";
+    }
+    if (ENERGY_UNITS[normalized] !== undefined) {
+      return "energy";
+    }
+    return VOLUME_UNITS[normalized] !== undefined ? "volume" : null;
+  }
+
+  function normalizeUnit(unit) {
+    return String(unit || "").trim().toLowerCase();
+  }
+
+  function toNumber(value) {
+    if (value === null || value === undefined || value === "") {
+      return null;
+    }
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+  }
+
+  return {
+    toPoints,
+    interpolationFor,
+    timeWeightedAverage,
+    timeWeightedQuantile,
+    integrate,
+    counterDelta,
+    hourlyAverages,
+    valueAt,
+    longestWindow,
+    isCumulative,
+    powerFactorKw,
+    energyFactorKwh,
+    volumeFactorL,
+    unitKind,
+    toNumber,
+  };
+};
@@ -1,26 +1,69 @@
 "use strict";
 
+const createSeries = require("./series");
+
 /**
  * State-Handling für den Adapter.
  * Erstellt Objekte, ohne vorhandene Werte zu überschreiben.
  */
 module.exports = (adapter) => {
+  const seriesUtils = createSeries();
   const stateDefinitions = [
     { id: "control.run", type: "boolean", role: "button", read: true, write: true, def: false },
+    { id: "control.approveAction", type: "string", role: "text", read: true, write: true, def: "" },
+    { id: "control.rejectAction", type: "string", role: "text", read: true, write: true, def: "" },
+    { id: "control.completeAction", type: "string", role: "text", read: true, write: true, def: "" },
     { id: "info.connection", type: "boolean", role: "indicator.connected", read: true, write: false, def: false },
     { id: "info.lastError", type: "string", role: "text", read: true, write: false, def: "" },
+    { id: "info.configIssues", type: "string", role: "json", read: true, write: false, def: "{}" },
+    { id: "info.discoveryCandidates", type: "string", role: "json", read: true, write: false, def: "[]" },
     { id: "meta.running", type: "boolean", role: "indicator", read: true, write: false, def: false },
     { id: "meta.lastRun", type: "string", role: "date", read: true, write: false, def: "" },
     { id: "meta.lastDailyReportTs", type: "string", role: "date", read: true, write: false, def: "" },
     { id: "report.last", type: "string", role: "json", read: true, write: false, def: "{}" },
     { id: "report.stats", type: "string", role: "json", read: true, write: false, def: "{}" },
     { id: "report.actions", type: "string", role: "json", read: true, write: false, def: "[]" },
+    { id: "report.markdown", type: "string", role: "text", read: true, write: false, def: "" },
+    { id: "report.html", type: "string", role: "html", read: true, write: false, def: "" },
+    { id: "report.text", type: "string", role: "text", read: true, write: false, def: "" },
     { id: "report.actionHistory", type: "string", role: "json", read: true, write: false, def: "[]" },
     { id: "report.dailyLastSent", type: "string", role: "json", read: true, write: false, def: "{}" },
+    { id: "report.archiveIndex", type: "string", role: "json", read: true, write: false, def: "[]" },
+    { id: "live.lastAlert", type: "string", role: "json", read: true, write: false, def: "{}" },
     { id: "memory.feedback", type: "string", role: "json", read: true, write: false, def: "{}" },
     { id: "memory.learning", type: "string", role: "json", read: true, write: false, def: "{}" },
     { id: "memory.history", type: "string", role: "json", read: true, write: false, def: "{}" },
+    { id: "memory.profiles", type: "string", role: "json", read: true, write: false, def: "{}" },
+    { id: "memory.forecast", type: "string", role: "json", read: true, write: false, def: "{}" },
+    { id: "memory.climate", type: "string", role: "json", read: true, write: false, def: "{}" },
     { id: "memory.policy", type: "string", role: "json", read: true, write: false, def: "{}" },
+    { id: "stats.energy.pvYield", type: "number", role: "value.energy", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.energy.gridImport", type: "number", role: "value.energy.consumed", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.energy.gridExport", type: "number", role: "value.energy.produced", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.energy.consumption", type: "number", role: "value.energy.consumed", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.energy.selfConsumption", type: "number", role: "value.energy", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.energy.selfConsumptionRatio", type: "number", role: "value", unit: "%", read: true, write: false, def: null },
+    { id: "stats.energy.autarky", type: "number", role: "value", unit: "%", read: true, write: false, def: null },
+    { id: "stats.energy.batteryThroughput", type: "number", role: "value.energy", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.energy.unmeasured", type: "number", role: "value.energy", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.forecast.consumptionToday", type: "number", role: "value.energy", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.forecast.consumptionTomorrow", type: "number", role: "value.energy", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.forecast.pvToday", type: "number", role: "value.energy", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.forecast.pvTomorrow", type: "number", role: "value.energy", unit: "kWh", read: true, write: false, def: null },
+    { id: "stats.forecast.accuracyConsumption", type: "number", role: "value", unit: "%", read: true, write: false, def: null },
+    { id: "stats.forecast.accuracyPv", type: "number", role: "value", unit: "%", read: true, write: false, def: null },
+    { id: "stats.cost.priceNow", type: "number", role: "value.price", unit: "€/kWh", read: true, write: false, def: null },
+    { id: "stats.cost.today", type: "number", role: "value", unit: "€", read: true, write: false, def: null },
+    { id: "stats.cost.yesterday", type: "number", role: "value", unit: "€", read: true, write: false, def: null },
+    { id: "stats.cost.week", type: "number", role: "value", unit: "€", read: true, write: false, def: null },
+    { id: "stats.cost.savingsYesterday", type: "number", role: "value", unit: "€", read: true, write: false, def: null },
+    { id: "stats.cost.savingsWeek", type: "number", role: "value", unit: "€", read: true, write: false, def: null },
+    { id: "stats.dataQuality.bad", type: "number", role: "value", read: true, write: false, def: null },
+    { id: "stats.dataQuality.warnings", type: "number", role: "value", read: true, write: false, def: null },
+    { id: "actions.openCount", type: "number", role: "value", read: true, write: false, def: 0 },
+    { id: "actions.highPriority", type: "number", role: "value", read: true, write: false, def: 0 },
+    { id: "actions.urgent", type: "number", role: "value", read: true, write: false, def: 0 },
+    { id: "actions.savingsMonth", type: "number", role: "value", unit: "€", read: true, write: false, def: 0 },
   ];
 
   /**
@@ -28,21 +71,206 @@ module.exports = (adapter) => {
    */
   async function ensureStates() {
     for (const state of stateDefinitions) {
+      const common = {
+        name: state.id,
+        type: state.type,
+        role: state.role,
+        read: state.read,
+        write: state.write,
+        def: state.def,
+      };
+      if (state.unit) {
+        common.unit = state.unit;
+      }
       await adapter.setObjectNotExistsAsync(state.id, {
         type: "state",
-        common: {
-          name: state.id,
-          type: state.type,
-          role: state.role,
-          read: state.read,
-          write: state.write,
-          def: state.def,
-        },
+        common,
         native: {},
       });
     }
   }
 
+  /**
+   * Legt je konfiguriertem Datenpunkt einen Kanal stats.<Kategorie>.<Objekt-ID> mit typisierten
+   * Kennzahl-States an (Einheit und Rolle aus der Konfiguration). Objekte mit native.dataPoint,
+   * die zu keinem konfigurierten Datenpunkt mehr gehören, werden gelöscht.
+   */
+  async function syncDataPointStates(config) {
+    const wanted = new Set();
+    for (const entry of config.dataPoints) {
+      const channel = dataPointChannel(entry);
+      wanted.add(channel);
+      await adapter.extendObjectAsync(channel, {
+        type: "channel",
+        common: { name: entry.description || entry.objectId },
+        native: { dataPoint: entry.objectId },
+      });
+      for (const definition of dataPointDefinitions(entry)) {
+        wanted.add(definition.id);
+        const common = {
+          name: definition.name,
+          type: definition.type,
+          role: definition.role,
+          read: true,
+          write: false,
+          def: null,
+        };
+        if (definition.unit) {
+          common.unit = definition.unit;
+        }
+        await adapter.extendObjectAsync(definition.id, { type: "state", common, native: { dataPoint: entry.objectId } });
+      }
+    }
+
+    const objects = await adapter.getAdapterObjectsAsync();
+    let removed = 0;
+    for (const [fullId, object] of Object.entries(objects)) {
+      const id = fullId.slice(adapter.namespace.length + 1);
+      if (object && object.native && object.native.dataPoint && !wanted.has(id)) {
+        await adapter.delObjectAsync(id);
+        removed++;
+      }
+    }
+    if (removed) {
+      adapter.log.info(`${removed} Ausgabe-Objekte entfernter Datenpunkte gelöscht.`);
+    }
+  }
+
+  /**
+   * Schreibt die Kennzahlen je Datenpunkt und die Zähler der Datenqualität.
+   * Fehlende Werte werden als null geschrieben, damit Visualisierungen keine veralteten Zahlen zeigen.
+   */
+  async function writeDataPointStates(config, liveContext, stats) {
+    const items = new Map((stats.deviations || []).map((item) => [item.objectId, item]));
+    const periods = stats.periods || {};
+    const quality = (stats.dataQuality && stats.dataQuality.dataPoints) || {};
+    for (const entry of config.dataPoints) {
+      if (!entry.enabled) {
+        continue;
+      }
+      const item = items.get(entry.objectId) || {};
+      const period = periods[entry.objectId] || {};
+      const status = quality[entry.objectId] ? quality[entry.objectId].status : null;
+      const values = {
+        current: currentValue(entry, liveContext.raw[entry.objectId]),
+        avg24h: item.avg,
+        min24h: item.min,
+        max24h: item.max,
+        energy24h: item.energyKwh,
+        consumption24h: item.consumption,
+        today: period.today,
+        yesterday: period.yesterday,
+        average7d: period.average7d,
+        dataOk: status ? status !== "bad" : null,
+      };
+      for (const definition of dataPointDefinitions(entry)) {
+        const value = values[definition.key];
+        await adapter.setStateAsync(definition.id, typeof value === "number" ? round(value) : value === undefined ? null : value, true);
+      }
+    }
+
+    const summary = stats.dataQuality || null;
+    await adapter.setStateAsync("stats.dataQuality.bad", summary ? summary.bad : null, true);
+    await adapter.setStateAsync("stats.dataQuality.warnings", summary ? summary.warnings : null, true);
+  }
+
+  /**
+   * Zähler der offenen Aktionen (gesamt, hohe Priorität, dringend) und ihr geschätztes Sparpotenzial pro Monat.
+   */
+  async function writeActionCounts(openActions) {
+    const savings = openActions.reduce((sum, action) => sum + (action.impact && action.impact.period === "month" ? action.impact.eur || 0 : 0), 0);
+    await adapter.setStateAsync("actions.openCount", openActions.length, true);
+    await adapter.setStateAsync("actions.highPriority", openActions.filter((action) => action.priority === "high").length, true);
+    await adapter.setStateAsync("actions.urgent", openActions.filter((action) => action.urgent).length, true);
+    await adapter.setStateAsync("actions.savingsMonth", round(savings), true);
+  }
+
+  /**
+   * Kennzahlen je Datenpunkt: Zähler liefern den Verbrauch, Momentanwerte Mittel/Min/Max
+   * (Energie-Leistungen zusätzlich kWh), Leckage-Sensoren nur ihren Zustand.
+   */
+  function dataPointDefinitions(entry) {
+    const channel = dataPointChannel(entry);
+    const label = entry.description || entry.objectId;
+    const define = (key, name, type, role, unit) => ({ id: `${channel}.${key}`, key, name: `${label}: ${name}`, type, role, unit });
+    const dataOk = define("dataOk", "Daten in Ordnung", "boolean", "indicator");
+    if (entry.category === "leak") {
+      return [define("current", "Aktueller Zustand", "boolean", "sensor.alarm.flood"), dataOk];
+    }
+
+    const role = valueRole(entry);
+    const cumulative = seriesUtils.isCumulative(entry);
+    const energy = entry.category.startsWith("energy");
+    const power = seriesUtils.unitKind(entry.unit) === "power";
+    const definitions = [define("current", "Aktueller Wert", "number", role, entry.unit)];
+    if (cumulative) {
+      definitions.push(define("consumption24h", "Verbrauch 24 h", "number", role, entry.unit));
+    } else {
+      definitions.push(
+        define("avg24h", "Mittel 24 h", "number", role, entry.unit),
+        define("min24h", "Minimum 24 h", "number", role, entry.unit),
+        define("max24h", "Maximum 24 h", "number", role, entry.unit),
+      );
+      if (energy && power) {
+        definitions.push(define("energy24h", "Energie 24 h", "number", "value.energy", "kWh"));
+      }
+    }
+    // Tageswerte wie in stats.periods: Verbrauch bei Zählern, kWh bei Leistungen, sonst Tagesmittel.
+    // Energie-Datenpunkte ohne Leistungseinheit (z. B. Batterie-SoC) werden dort integriert und entfallen hier.
+    if (cumulative || !energy || power) {
+      const periodRole = energy && power ? "value.energy" : role;
+      const periodUnit = energy && power ? "kWh" : entry.unit;
+      definitions.push(
+        define("today", "Heute", "number", periodRole, periodUnit),
+        define("yesterday", "Gestern", "number", periodRole, periodUnit),
+        define("average7d", "Tagesmittel 7 Tage", "number", periodRole, periodUnit),
+      );
+    }
+    definitions.push(dataOk);
+    return definitions;
+  }
+
+  function dataPointChannel(entry) {
+    const category = entry.category
+      .split(".")
+      .map((segment) => toIdSegment(segment))
+      .filter(Boolean)
+      .join(".");
+    return `stats.${category || "unknown"}.${toIdSegment(entry.objectId)}`;
+  }
+
+  function toIdSegment(value) {
+    return String(value).replace(/[^A-Za-z0-9_-]/g, "_");
+  }
+
+  function valueRole(entry) {
+    const kind = seriesUtils.unitKind(entry.unit);
+    if (kind === "power") {
+      return "value.power";
+    }
+    if (kind === "energy") {
+      return "value.energy";
+    }
+    if (/^°?[CF]$/.test(String(entry.unit).trim()) || entry.category.startsWith("temperature")) {
+      return "value.temperature";
+    }
+    if (/battery|soc/i.test(entry.category) && String(entry.unit).trim() === "%") {
+      return "value.battery";
+    }
+    return entry.category.startsWith("humidity") ? "value.humidity" : "value";
+  }
+
+  function currentValue(entry, value) {
+    if (entry.category === "leak") {
+      return value === null || value === undefined ? null : value === true || value === 1 || value === "true";
+    }
+    return seriesUtils.toNumber(value);
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
   /**
    * Hilfsfunktion für Info-States.
    */
@@ -57,9 +285,37 @@ module.exports = (adapter) => {
     await adapter.setStateAsync(`meta.${key}`, value, true);
   }
 
+  /**
+   * Liest einen JSON-State und liefert bei Fehlern den Fallback.
+   */
+  async function getJson(id, fallback) {
+    try {
+      const stateObj = await adapter.getStateAsync(id);
+      if (!stateObj || typeof stateObj.val !== "string" || !stateObj.val) {
+        return fallback;
+      }
+      return JSON.parse(stateObj.val);
+    } catch (error) {
+      adapter.log.warn(`State ${id} enthält kein gültiges JSON: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Schreibt einen Wert als JSON-State.
+   */
+  async function setJson(id, value) {
+    await adapter.setStateAsync(id, JSON.stringify(value), true);
+  }
+
   return {
     ensureStates,
+    syncDataPointStates,
+    writeDataPointStates,
+    writeActionCounts,
     setInfo,
     setMeta,
+    getJson,
+    setJson,
   };
 };
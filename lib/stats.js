@@ -1,13 +1,24 @@
 "use strict";
 
+const createUtils = require("./utils");
+const createSeries = require("./series");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BASELINE_SNAPSHOTS = 60;
+
 /**
  * Statistiken berechnen und als JSON zurückgeben.
  */
 module.exports = () => {
+  const utils = createUtils();
+  const seriesUtils = createSeries();
+
   /**
    * Berechnet Kennzahlen auf Basis von Live- und Historiendaten.
+   * historyData: { series (24h), windows } aus history.collect.
+   * memoryHistory enthält frühere Baseline-Schnappschüsse für Vergleiche.
    */
-  function compute(config, liveContext, historyData) {
+  function compute(config, liveContext, historyData, memoryHistory = {}) {
     const stats = {
       timestamp: new Date().toISOString(),
       energy: {},
@@ -26,35 +37,275 @@ module.exports = () => {
 
     stats.water.total = extractValue(liveContext.water["water.total"]);
 
-    for (const [objectId, series] of Object.entries(historyData || {})) {
-      stats.deviations.push({
-        objectId,
-        avg: average(series),
-        min: minimum(series),
-        max: maximum(series),
-        last: lastValue(series),
-      });
+    const now = Date.now();
+    const seriesById = (historyData && historyData.series) || {};
+    const windows = (historyData && historyData.windows) || {};
+    const interpolation = seriesUtils.interpolationFor(historyData);
+    for (const entry of config.dataPoints) {
+      const series = seriesById[entry.objectId];
+      if (!entry.enabled || !series || !series.length) {
+        continue;
+      }
+      stats.deviations.push(summarize(entry, series, seriesById, now, interpolation));
     }
 
+    stats.baseline = computeBaseline(config, seriesById, memoryHistory.baselines || [], interpolation);
+    stats.periods = computePeriods(config, historyData, now);
+    stats.windows = summarizeWindows(config, windows);
+
     return stats;
   }
 
-  function extractValue(entry) {
-    if (!entry) {
-      return null;
+  /**
+   * Kennzahlen einer Reihe: Momentanwerte zeitgewichtet gemittelt und integriert,
+   * Zählerstände (und Tageszähler) über ihren Zuwachs inkl. Resets.
+   */
+  function summarize(entry, series, seriesById, now, interpolation) {
+    const item = {
+      objectId: entry.objectId,
+      avg: null,
+      min: minimum(series),
+      max: maximum(series),
+      last: lastValue(series),
+    };
+
+    if (seriesUtils.isCumulative(entry)) {
+      const counter = seriesUtils.counterDelta(series, { rollover: entry.counterMax });
+      item.consumption = counter ? round(counter.delta) : null;
+      item.resets = counter ? counter.resets : 0;
+    } else {
+      const avg = seriesUtils.timeWeightedAverage(series, { end: now, interpolation });
+      item.avg = avg === null ? null : round(avg);
+      if (entry.category.startsWith("energy")) {
+        const integral = seriesUtils.integrate(series, { end: now, interpolation });
+        item.energyKwh = round(integral.net * seriesUtils.powerFactorKw(entry.unit));
+      }
     }
-    return entry.value;
+
+    if (entry.dailyObjectId && seriesById[entry.dailyObjectId]) {
+      const daily = seriesUtils.counterDelta(seriesById[entry.dailyObjectId]);
+      item.dailyConsumption = daily ? round(daily.delta) : null;
+    }
+
+    return item;
   }
 
-  function average(series) {
-    if (!series || !series.length) {
+  /**
+   * Tag/Nacht-Baseline: Grundlast (zeitgewichtetes Quantil des Hausverbrauchs in den Nachtstunden),
+   * Tag- und Nachtmittel sowie Standby je Verbraucher, verglichen mit Vortag und Vorwoche.
+   */
+  function computeBaseline(config, seriesById, snapshots, interpolation) {
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const analysis = config.analysis;
+    const isNight = utils.createNightMatcher(analysis.nightStart, analysis.nightEnd, timeZone);
+    const isDay = (ts) => !isNight(ts);
+    const end = Date.now();
+
+    const baseline = {
+      date: utils.zonedDateKey(end, timeZone),
+      nightHours: `${analysis.nightStart}-${analysis.nightEnd}`,
+      baseLoad: null,
+      dayAverage: null,
+      nightAverage: null,
+      standby: {},
+      comparison: {},
+    };
+
+    const house = config.dataPoints.find((entry) => entry.enabled && entry.category === "energy.houseConsumption");
+    if (house) {
+      const series = seriesById[house.objectId];
+      baseline.baseLoad = roundOrNull(
+        seriesUtils.timeWeightedQuantile(series, analysis.baseLoadQuantile, { end, interpolation, include: isNight }),
+      );
+      baseline.nightAverage = roundOrNull(seriesUtils.timeWeightedAverage(series, { end, interpolation, include: isNight }));
+      baseline.dayAverage = roundOrNull(seriesUtils.timeWeightedAverage(series, { end, interpolation, include: isDay }));
+    }
+
+    for (const entry of config.dataPoints) {
+      if (!entry.enabled || !entry.isConsumer) {
+        continue;
+      }
+      const standby = roundOrNull(
+        seriesUtils.timeWeightedQuantile(seriesById[entry.objectId], analysis.baseLoadQuantile, { end, interpolation }),
+      );
+      if (standby !== null) {
+        baseline.standby[entry.objectId] = { label: entry.description || entry.objectId, standby };
+      }
+    }
+
+    const today = Date.parse(baseline.date);
+    const periods = { previousDay: 1, previousWeek: 7 };
+    for (const [key, days] of Object.entries(periods)) {
+      const targetDate = new Date(today - days * DAY_MS).toISOString().slice(0, 10);
+      const snapshot = snapshots.find((entry) => entry.date === targetDate);
+      if (snapshot) {
+        baseline.comparison[key] = compareSnapshot(baseline, snapshot);
+      }
+    }
+
+    return baseline;
+  }
+
+  /**
+   * Heute vs. gestern vs. 7-Tage-Mittel je Datenpunkt (lokale Kalendertage).
+   * Grundlage ist das längste aktuelle Fenster; nur vollständig abgedeckte Tage zählen.
+   * Kennzahl: Verbrauch bei Zählern, Energie (kWh) bei Leistungen, sonst zeitgewichtetes Mittel.
+   */
+  function computePeriods(config, historyData, now) {
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const source = seriesUtils.longestWindow(historyData, now);
+    const periods = {};
+    if (!source) {
+      return periods;
+    }
+
+    const todayStart = utils.zonedDayStart(now, timeZone);
+    const days = [];
+    let dayEnd = todayStart;
+    for (let index = 0; index < 7; index++) {
+      const dayStart = utils.zonedDayStart(dayEnd - 1, timeZone);
+      if (dayStart < source.start) {
+        break;
+      }
+      days.push({ start: dayStart, end: dayEnd });
+      dayEnd = dayStart;
+    }
+
+    const interpolation = seriesUtils.interpolationFor(source);
+    for (const entry of config.dataPoints) {
+      const series = source.series[entry.objectId];
+      if (!entry.enabled || !series || !series.length) {
+        continue;
+      }
+      const values = days
+        .map((day) => periodValue(entry, series, day.start, day.end, interpolation))
+        .filter((value) => value !== null);
+      const today = periodValue(entry, series, todayStart, now, interpolation);
+      const yesterday = days.length ? periodValue(entry, series, days[0].start, days[0].end, interpolation) : null;
+      const average7d = values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+      periods[entry.objectId] = {
+        metric: periodMetric(entry),
+        today,
+        yesterday,
+        average7d,
+        days: values.length,
+        changeVsYesterday: percentChange(today, yesterday),
+        changeVsAverage7d: percentChange(today, average7d),
+      };
+    }
+    return periods;
+  }
+
+  /**
+   * Kennzahlen über jedes geladene Fenster (z. B. 30d oder gleicher Tag im Vorjahr).
+   */
+  function summarizeWindows(config, windows) {
+    const result = {};
+    for (const [key, window] of Object.entries(windows)) {
+      const entries = {};
+      for (const entry of config.dataPoints) {
+        const series = window.series[entry.objectId];
+        if (!entry.enabled || !series || !series.length) {
+          continue;
+        }
+        entries[entry.objectId] = {
+          metric: periodMetric(entry),
+          value: periodValue(entry, series, window.start, window.end, seriesUtils.interpolationFor(window)),
+          min: minimum(series),
+          max: maximum(series),
+        };
+      }
+      result[key] = {
+        start: new Date(window.start).toISOString(),
+        end: new Date(window.end).toISOString(),
+        aggregate: window.aggregate,
+        entries,
+      };
+    }
+    return result;
+  }
+
+  function periodMetric(entry) {
+    if (seriesUtils.isCumulative(entry)) {
+      return "consumption";
+    }
+    return entry.category.startsWith("energy") ? "energyKwh" : "avg";
+  }
+
+  function periodValue(entry, series, start, end, interpolation) {
+    const inRange = (ts) => ts >= start && ts < end;
+    const metric = periodMetric(entry);
+    if (metric === "consumption") {
+      const points = seriesUtils.toPoints(series).filter((point) => point.ts >= start && point.ts <= end);
+      const counter = seriesUtils.counterDelta(points, { rollover: entry.counterMax });
+      return counter ? round(counter.delta) : null;
+    }
+    if (metric === "energyKwh") {
+      const integral = seriesUtils.integrate(series, { end, interpolation, include: inRange });
+      return integral.positive || integral.negative ? round(integral.net * seriesUtils.powerFactorKw(entry.unit)) : null;
+    }
+    return roundOrNull(seriesUtils.timeWeightedAverage(series, { end, interpolation, include: inRange }));
+  }
+
+  function percentChange(value, reference) {
+    if (value === null || reference === null || !reference) {
       return null;
     }
-    const values = series.map((item) => Number(item.val)).filter((val) => Number.isFinite(val));
-    if (!values.length) {
+    return round(((value - reference) / Math.abs(reference)) * 100);
+  }
+
+  function compareSnapshot(current, previous) {
+    const delta = (a, b) => (a !== null && b !== null && b !== undefined ? round(a - b) : null);
+    const standby = {};
+    for (const [objectId, entry] of Object.entries(current.standby)) {
+      const before = previous.standby && previous.standby[objectId];
+      if (before) {
+        standby[objectId] = delta(entry.standby, before.standby);
+      }
+    }
+    return {
+      date: previous.date,
+      baseLoad: previous.baseLoad,
+      baseLoadDelta: delta(current.baseLoad, previous.baseLoad),
+      dayAverageDelta: delta(current.dayAverage, previous.dayAverage),
+      nightAverageDelta: delta(current.nightAverage, previous.nightAverage),
+      standbyDelta: standby,
+    };
+  }
+
+  /**
+   * Legt den heutigen Baseline-Schnappschuss in memory.history ab (einer pro Tag).
+   */
+  function updateMemory(memoryHistory, stats) {
+    const baseline = stats.baseline;
+    const snapshots = (memoryHistory.baselines || []).filter((entry) => entry.date !== baseline.date);
+    snapshots.push({
+      date: baseline.date,
+      baseLoad: baseline.baseLoad,
+      dayAverage: baseline.dayAverage,
+      nightAverage: baseline.nightAverage,
+      standby: baseline.standby,
+    });
+    return {
+      ...memoryHistory,
+      baselines: snapshots.slice(-MAX_BASELINE_SNAPSHOTS),
+    };
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function roundOrNull(value) {
+    return value === null ? null : round(value);
+  }
+
+  function extractValue(entry) {
+    if (!entry) {
       return null;
     }
-    return values.reduce((sum, val) => sum + val, 0) / values.length;
+    return entry.value;
   }
 
   function minimum(series) {
@@ -83,5 +334,6 @@ module.exports = () => {
 
   return {
     compute,
+    updateMemory,
   };
 };
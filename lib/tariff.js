@@ -0,0 +1,319 @@
+"use strict";
+
+const createUtils = require("./utils");
+const createSeries = require("./series");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MONTH_DAYS = 30;
+const PRICE_UNITS = { "eur/kwh": 1, "ct/kwh": 0.01, "eur/mwh": 0.001 };
+const CONSUMER_CATEGORIES = ["energy.wallbox", "energy.heating"];
+const NO_COST_CATEGORIES = ["energy.pvPower", "energy.batteryPower", "energy.batterySoc"];
+// Befunde, deren Mehrkosten tatsächlich gemessene Mehrenergie von gestern sind. Alle anderen (Regeln auf
+// Momentanwerte, Datenqualität, Wasser usw.) erhalten keine Kostenschätzung.
+const ENERGY_IMPACT_TYPES = ["heatingEfficiency", "baseLoad"];
+
+/**
+ * Numerische States der Kosten (Pfad im Ergebnis -> State unter stats.cost).
+ */
+const COST_STATES = {
+  priceNow: ["priceNow"],
+  today: ["today", "net"],
+  yesterday: ["yesterday", "net"],
+  week: ["week", "net"],
+  savingsYesterday: ["yesterday", "savings"],
+  savingsWeek: ["week", "savings"],
+};
+
+/**
+ * Tarif- und Kostenmodell: fester Preis, Zeitfenster (z. B. HT/NT) oder dynamischer
+ * Stundenpreis aus einem anderen State (z. B. Tibber, aWATTar), dazu die Einspeisevergütung.
+ * Netzbezug wird mit dem Preis zum jeweiligen Zeitpunkt bewertet, Einspeisung mit der Vergütung.
+ */
+module.exports = (adapter) => {
+  const utils = createUtils();
+  const seriesUtils = createSeries();
+
+  /**
+   * Kosten für heute, gestern und die letzten 7 Tage (je nach geladenen Fenstern).
+   * Ergebnis: { mode, priceNow, feedIn, averagePrice, today, yesterday, week } mit je
+   * { importKwh, exportKwh, importCost, feedInRevenue, net, selfConsumptionKwh, savings, consumers }.
+   */
+  async function compute(config, historyData) {
+    const now = Date.now();
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const priceAt = await createPriceResolver(config, historyData, timeZone);
+    const cost = {
+      mode: config.tariff.mode,
+      currency: "EUR",
+      priceNow: round(priceAt(now), 4),
+      feedIn: config.tariff.feedIn,
+      averagePrice: null,
+      today: null,
+      yesterday: null,
+      week: null,
+    };
+
+    const todayStart = utils.zonedDayStart(now, timeZone);
+    const ranges = {
+      today: [todayStart, now],
+      yesterday: [utils.zonedDayStart(todayStart - HOUR_MS, timeZone), todayStart],
+      week: [now - 7 * DAY_MS, now],
+    };
+    for (const [key, [start, end]] of Object.entries(ranges)) {
+      const window = windowFor(historyData, start, end);
+      if (window) {
+        cost[key] = rangeCost(config, window, start, end, priceAt);
+      }
+    }
+
+    const reference = cost.week || cost.yesterday || cost.today;
+    cost.averagePrice = reference && reference.averagePrice !== null ? reference.averagePrice : cost.priceNow;
+    return cost;
+  }
+
+  /**
+   * Schreibt die Kosten in die numerischen States unter stats.cost.
+   */
+  async function persist(cost) {
+    for (const [stateKey, path] of Object.entries(COST_STATES)) {
+      const value = path.reduce((node, key) => (node && node[key] !== undefined ? node[key] : null), cost || null);
+      await adapter.setStateAsync(`stats.cost.${stateKey}`, value, true);
+    }
+  }
+
+  /**
+   * Ergänzt Abweichungen ohne eigene Bewertung (impact nicht gesetzt) um die geschätzten Mehrkosten pro Monat,
+   * falls der Mehrverbrauch anhält. Bewertet werden nur die Typen aus ENERGY_IMPACT_TYPES: bei der Heizeffizienz
+   * der Mehrbedarf je Gradtag, bei der Grundlast der Mehrverbrauch des Hausverbrauchs von gestern gegenüber
+   * den übrigen Tagen der Woche (stats.periods).
+   */
+  function annotate(config, deviations, stats) {
+    const price = stats.cost ? stats.cost.averagePrice : config.tariff.price;
+    const periods = stats.periods || {};
+    for (const deviation of deviations) {
+      if (deviation.impact !== undefined) {
+        continue;
+      }
+      let kwhPerDay = null;
+      if (deviation.type === "heatingEfficiency") {
+        const heating = stats.temperature && stats.temperature.heating;
+        kwhPerDay = heating && heating.hdd && deviation.delta > 0 ? deviation.delta * heating.hdd : null;
+      } else if (ENERGY_IMPACT_TYPES.includes(deviation.type)) {
+        // Die Grundlast hat keinen eigenen Datenpunkt: bewertet wird der Zähler ihrer Kategorie.
+        const entry = config.dataPoints.find((item) =>
+          deviation.objectId ? item.objectId === deviation.objectId : item.enabled && item.category === deviation.category && periods[item.objectId],
+        );
+        const period = entry ? periods[entry.objectId] : null;
+        const factor = entry && period ? kwhFactor(entry, period) : null;
+        if (entry && isCostRelevant(entry) && factor && period.yesterday !== null && period.days > 1) {
+          // average7d enthält den Vortag selbst, Referenz sind die übrigen Tage.
+          const reference = (period.average7d * period.days - period.yesterday) / (period.days - 1);
+          kwhPerDay = period.yesterday > reference ? (period.yesterday - reference) * factor : null;
+        }
+      }
+      deviation.impact = kwhPerDay ? monthlyImpact(kwhPerDay, price) : null;
+    }
+    return deviations;
+  }
+
+  function monthlyImpact(kwhPerDay, price) {
+    const kwh = kwhPerDay * MONTH_DAYS;
+    return { kwh: round(kwh), eur: round(kwh * price), period: "month" };
+  }
+
+  /**
+   * Bezug, Einspeisung, Eigenverbrauch und Verbraucherkosten in einem Zeitraum.
+   */
+  function rangeCost(config, window, start, end, priceAt) {
+    const include = (ts) => ts >= start && ts < end;
+    const result = {
+      importKwh: null,
+      exportKwh: null,
+      importCost: null,
+      feedInRevenue: null,
+      net: null,
+      averagePrice: null,
+      pvKwh: null,
+      selfConsumptionKwh: null,
+      savings: null,
+      consumers: {},
+    };
+    let exportValue = 0;
+    let pvValue = 0;
+
+    for (const entry of config.dataPoints) {
+      const series = window.series[entry.objectId];
+      if (!entry.enabled || !entry.category.startsWith("energy.") || !series || !series.length) {
+        continue;
+      }
+      const energy = pricedEnergy(entry, series, window, include, priceAt, start, end);
+      if (!energy) {
+        continue;
+      }
+      if (entry.category === "energy.gridPower") {
+        result.importKwh = (result.importKwh || 0) + energy.positiveKwh;
+        result.importCost = (result.importCost || 0) + energy.positiveCost;
+        result.exportKwh = (result.exportKwh || 0) + energy.negativeKwh;
+        exportValue += energy.negativeCost;
+      } else if (entry.isSource) {
+        result.pvKwh = (result.pvKwh || 0) + energy.positiveKwh;
+        pvValue += energy.positiveCost;
+      } else if (entry.isConsumer || CONSUMER_CATEGORIES.includes(entry.category)) {
+        result.consumers[entry.objectId] = {
+          label: entry.description || entry.objectId,
+          kwh: round(energy.positiveKwh),
+          cost: round(energy.positiveCost),
+        };
+      }
+    }
+
+    if (result.importKwh !== null) {
+      result.feedInRevenue = result.exportKwh * config.tariff.feedIn;
+      result.net = result.importCost - result.feedInRevenue;
+      result.averagePrice = result.importKwh > 0 ? round(result.importCost / result.importKwh, 4) : null;
+    }
+    // Ersparnis: selbst verbrauchter PV-Strom hätte sonst zum jeweiligen Preis bezogen werden müssen.
+    if (result.pvKwh !== null && result.exportKwh !== null) {
+      result.selfConsumptionKwh = Math.max(result.pvKwh - result.exportKwh, 0);
+      result.savings = Math.max(pvValue - exportValue, 0);
+    }
+
+    for (const key of Object.keys(result)) {
+      if (typeof result[key] === "number" && key !== "averagePrice") {
+        result[key] = round(result[key]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Energie (kWh) und bewertete Energie (€) eines Datenpunkts, getrennt nach Vorzeichen.
+   * Zählerstände werden mit dem mittleren Preis des Zeitraums bewertet.
+   */
+  function pricedEnergy(entry, series, window, include, priceAt, start, end) {
+    const energyFactor = seriesUtils.energyFactorKwh(entry.unit);
+    if (energyFactor !== null) {
+      const counter = seriesUtils.counterDelta(
+        series.filter((item) => include(Number(item.ts))),
+        { rollover: entry.counterMax },
+      );
+      if (!counter) {
+        return null;
+      }
+      const kwh = counter.delta * energyFactor;
+      return { positiveKwh: kwh, negativeKwh: 0, positiveCost: kwh * averagePrice(priceAt, start, end), negativeCost: 0 };
+    }
+    if (seriesUtils.isCumulative(entry)) {
+      return null;
+    }
+
+    const factor = seriesUtils.powerFactorKw(entry.unit);
+    const options = { end: window.end, interpolation: seriesUtils.interpolationFor(window), include };
+    const energy = seriesUtils.integrate(series, options);
+    const value = seriesUtils.integrate(series, { ...options, weight: priceAt });
+    return {
+      positiveKwh: energy.positive * factor,
+      negativeKwh: energy.negative * factor,
+      positiveCost: value.positive * factor,
+      negativeCost: value.negative * factor,
+    };
+  }
+
+  /**
+   * Liefert priceAt(ts) in €/kWh für den konfigurierten Tarif.
+   * Dynamisch: Historie des Preis-States, danach bzw. ohne Historie der aktuelle Wert, sonst der feste Preis.
+   */
+  async function createPriceResolver(config, historyData, timeZone) {
+    const tariff = config.tariff;
+
+    if (tariff.mode === "timeOfUse") {
+      const periods = tariff.periods
+        .map((period) => ({ start: utils.parseMinutes(period.start), end: utils.parseMinutes(period.end), price: period.price }))
+        .filter((period) => period.start !== null && period.end !== null && period.price !== null);
+      return (ts) => {
+        const parts = utils.zonedParts(ts, timeZone);
+        const minutes = parts.hour * 60 + parts.minute;
+        const match = periods.find((period) =>
+          period.start <= period.end
+            ? minutes >= period.start && minutes < period.end
+            : minutes >= period.start || minutes < period.end,
+        );
+        return match ? match.price : tariff.price;
+      };
+    }
+
+    if (tariff.mode === "dynamic" && tariff.priceObjectId) {
+      const factor = PRICE_UNITS[tariff.priceUnit.toLowerCase()] || 1;
+      const points = [];
+      for (const window of Object.values((historyData && historyData.windows) || {})) {
+        points.push(...seriesUtils.toPoints(window.series[tariff.priceObjectId]));
+      }
+      points.sort((a, b) => a.ts - b.ts);
+      const state = await adapter.getForeignStateAsync(tariff.priceObjectId);
+      const current = seriesUtils.toNumber(state ? state.val : null);
+      if (!points.length && current === null) {
+        adapter.log.warn(`Dynamischer Preis ${tariff.priceObjectId} nicht lesbar, verwende festen Preis.`);
+        return () => tariff.price;
+      }
+      const lastLogged = points.length ? points[points.length - 1].ts : Infinity;
+      return (ts) => {
+        // Nach dem letzten geloggten Punkt gilt der aktuelle State-Wert.
+        const value = current !== null && ts >= lastLogged ? current : seriesUtils.valueAt(points, ts);
+        if (value !== null) {
+          return value * factor;
+        }
+        return current === null ? tariff.price : current * factor;
+      };
+    }
+
+    return () => tariff.price;
+  }
+
+  function averagePrice(priceAt, start, end) {
+    let sum = 0;
+    let count = 0;
+    for (let ts = start + HOUR_MS / 2; ts < end; ts += HOUR_MS) {
+      sum += priceAt(ts);
+      count++;
+    }
+    return count ? sum / count : priceAt(start);
+  }
+
+  /**
+   * Kürzestes aktuelles Fenster, das den Zeitraum vollständig abdeckt (beste Auflösung).
+   */
+  function windowFor(historyData, start, end) {
+    return (
+      Object.values((historyData && historyData.windows) || {})
+        .filter((window) => window.start <= start + HOUR_MS && window.end >= end - HOUR_MS)
+        .sort((a, b) => b.start - a.start)[0] || null
+    );
+  }
+
+  /**
+   * Umrechnung eines Tageswerts aus stats.periods nach kWh: Leistungen liegen bereits als kWh vor,
+   * Zähler in ihrer Einheit (null bei Zählern ohne Energieeinheit).
+   */
+  function kwhFactor(entry, period) {
+    if (period.metric === "energyKwh") {
+      return 1;
+    }
+    return period.metric === "consumption" ? seriesUtils.energyFactorKwh(entry.unit) : null;
+  }
+
+  function isCostRelevant(entry) {
+    return entry.category.startsWith("energy.") && !entry.isSource && !NO_COST_CATEGORIES.includes(entry.category);
+  }
+
+  function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+
+  return {
+    compute,
+    persist,
+    annotate,
+  };
+};
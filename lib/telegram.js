@@ -1,32 +1,142 @@
 "use strict";
 
+const createState = require("./state");
+const createUtils = require("./utils");
+
+/**
+ * Inline-Buttons: Callback-Präfix -> Entscheidung.
+ * Callback-Daten enthalten nur einen Kurz-Hash der Aktions-ID (Telegram-Limit 64 Byte).
+ */
+const BUTTONS = [
+  { code: "ok", decision: "approve", label: "✅ Freigeben", reply: "✅ Freigegeben" },
+  { code: "no", decision: "reject", label: "❌ Ablehnen", reply: "❌ Abgelehnt" },
+  { code: "mod", decision: "modify", label: "✏️ Ändern", reply: "✏️ Als geändert markiert" },
+];
+
+const MAX_MESSAGE_LENGTH = 4000;
+const POLL_TIMEOUT_SEC = 20;
+const POLL_RETRY_MS = 30 * 1000;
+const MODIFY_WINDOW_MS = 15 * 60 * 1000;
+
 /**
  * Telegram-Integration (optional).
- * Wird nur aktiv, wenn enabled und token gesetzt sind.
+ * Versendet Berichte entweder über eine telegram-Adapterinstanz oder direkt über die Bot-API
+ * und leitet Button-Entscheidungen an den Aktions-Lifecycle weiter.
  */
 module.exports = (adapter) => {
+  const state = createState(adapter);
+  const utils = createUtils();
+
   let enabled = false;
+  let settings = null;
+  let onDecision = null;
+  let pollTimer = null;
+  let pollAbort = null;
+  let updateOffset = 0;
+  let pendingModification = null;
 
   /**
    * Initialisiert Telegram, falls gewünscht.
    */
-  async function setup(config) {
-    enabled = config.telegram.enabled && !!config.telegram.token;
+  async function setup(config, decisionHandler) {
+    settings = config.telegram;
+    onDecision = decisionHandler;
+    enabled = settings.enabled && !!settings.chatId && (!!settings.instance || !!settings.token);
     if (!enabled) {
       adapter.log.info("Telegram ist deaktiviert.");
+      return;
+    }
+
+    if (settings.instance) {
+      adapter.subscribeForeignStates(requestStateId());
+      adapter.log.info(`Telegram ist aktiviert (über ${settings.instance}).`);
     } else {
-      adapter.log.info("Telegram ist aktiviert.");
+      schedulePoll(0);
+      adapter.log.info("Telegram ist aktiviert (Bot-API).");
     }
   }
 
   /**
-   * Behandelt Aktionen aus der Telegram-UI.
+   * Versendet den Kurzbericht (Textfassung) und je neu angelegtem Vorschlag (created aus actions.sync)
+   * eine Nachricht mit Inline-Buttons. Bereits zugestellte, noch offene Vorschläge werden nur gezählt.
+   * Liefert true, wenn der Bericht versendet wurde.
    */
-  async function handleAction(msg) {
+  async function sendReport(report, created = []) {
+    if (!enabled) {
+      return false;
+    }
+    try {
+      const createdIds = new Set(created.map((action) => action.id));
+      const proposed = (report.actions || []).filter((action) => action.status === "proposed");
+      const fresh = proposed.filter((action) => createdIds.has(action.id));
+      const pending = proposed.length - fresh.length;
+      const waiting = pending === 1 ? "weiterer offener Vorschlag wartet" : "weitere offene Vorschläge warten";
+      const note = pending ? `\n\n${pending} ${waiting} auf eine Entscheidung.` : "";
+      await sendMessage(`${report.rendered.text}${note}`);
+      for (const action of fresh) {
+        await sendMessage(formatAction(action), buildKeyboard(action));
+      }
+      return true;
+    } catch (error) {
+      adapter.log.warn(`Telegram-Versand fehlgeschlagen: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Versendet einen dringenden Vorschlag der Live-Überwachung sofort.
+   */
+  async function sendAlert(action) {
     if (!enabled) {
       return;
     }
-    adapter.log.info(`Telegram-Aktion empfangen: ${JSON.stringify(msg.message)}`);
+    try {
+      await sendMessage(formatAction(action, "🚨"), buildKeyboard(action));
+    } catch (error) {
+      adapter.log.warn(`Telegram-Alarm fehlgeschlagen: ${error.message}`);
+    }
+  }
+
+  /**
+   * Prüft, ob ein State-Wechsel von der telegram-Instanz stammt.
+   */
+  function isRequestState(id) {
+    return enabled && !!settings.instance && id === requestStateId();
+  }
+
+  /**
+   * Verarbeitet Anfragen der telegram-Instanz im Format "[Benutzer]Daten".
+   */
+  async function handleStateChange(id, stateObj) {
+    if (!stateObj || typeof stateObj.val !== "string") {
+      return;
+    }
+    const match = /^\[(.*?)\](.*)$/s.exec(stateObj.val);
+    if (!match) {
+      return;
+    }
+    await handleIncoming(match[2].trim(), match[1], "adapter");
+  }
+
+  /**
+   * Behandelt Aktionen aus der Telegram-UI bzw. per sendTo("telegramAction").
+   * Erwartet { actionId, decision, comment } oder { data: "<Callback-Daten>" }.
+   */
+  async function handleAction(msg) {
+    const payload = msg.message || {};
+    if (payload.data) {
+      return processCallback(String(payload.data), payload.user || "", "sendTo");
+    }
+    if (!onDecision) {
+      return { ok: false, error: "Aktions-Lifecycle nicht initialisiert" };
+    }
+    return onDecision({
+      actionId: payload.actionId,
+      decision: payload.decision,
+      comment: payload.comment || "",
+      source: "sendTo",
+      user: payload.user || "",
+    });
   }
 
   /**
@@ -34,10 +144,216 @@ module.exports = (adapter) => {
    */
   async function stop() {
     enabled = false;
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+    if (pollAbort) {
+      pollAbort.abort();
+      pollAbort = null;
+    }
+  }
+
+  function requestStateId() {
+    return `${settings.instance}.communicate.request`;
+  }
+
+  /**
+   * Unterscheidet Button-Callbacks von Freitext (Änderungswunsch).
+   */
+  async function handleIncoming(text, user, chatKey) {
+    if (parseCallback(text)) {
+      await processCallback(text, user, "telegram", chatKey);
+      return;
+    }
+    if (pendingModification && pendingModification.chatKey === chatKey && Date.now() < pendingModification.until) {
+      const { actionId } = pendingModification;
+      pendingModification = null;
+      const result = await onDecision({
+        actionId,
+        decision: "modify",
+        comment: text,
+        source: "telegram",
+        user,
+      });
+      await sendMessage(result.ok ? `✏️ Änderung gespeichert: ${result.action.title}` : `⚠️ ${result.error}`);
+    }
+  }
+
+  /**
+   * Löst Callback-Daten in eine Aktion auf und übergibt die Entscheidung.
+   */
+  async function processCallback(data, user, source, chatKey = "adapter") {
+    const parsed = parseCallback(data);
+    if (!parsed) {
+      return { ok: false, error: `Unbekannte Callback-Daten '${data}'` };
+    }
+    const action = await findActionByHash(parsed.hash);
+    if (!action) {
+      if (source === "telegram") {
+        await sendMessage("⚠️ Vorschlag nicht mehr vorhanden.");
+      }
+      return { ok: false, error: "Aktion nicht gefunden" };
+    }
+
+    const result = await onDecision({
+      actionId: action.id,
+      decision: parsed.button.decision,
+      source,
+      user,
+    });
+    if (source === "telegram") {
+      await sendMessage(result.ok ? `${parsed.button.reply}: ${action.title}` : `⚠️ ${result.error}`);
+      if (result.ok && parsed.button.decision === "modify") {
+        pendingModification = { actionId: action.id, chatKey, until: Date.now() + MODIFY_WINDOW_MS };
+        await sendMessage("Bitte die gewünschte Änderung als Antwort senden.");
+      }
+    }
+    return result;
+  }
+
+  function parseCallback(data) {
+    const [code, hash] = String(data).split(":");
+    const button = BUTTONS.find((entry) => entry.code === code);
+    return button && hash ? { button, hash } : null;
+  }
+
+  async function findActionByHash(hash) {
+    const actions = await state.getJson("report.actions", []);
+    return actions.find((action) => utils.shortHash(action.id) === hash || action.id === hash) || null;
+  }
+
+  function buildKeyboard(action) {
+    const hash = utils.shortHash(action.id);
+    return {
+      inline_keyboard: [BUTTONS.map((button) => ({ text: button.label, callback_data: `${button.code}:${hash}` }))],
+    };
+  }
+
+  function formatAction(action, icon = "💡") {
+    const impactLabel = action.category === "recommendation" ? "Ersparnis" : "Mehrkosten";
+    // kWh bzw. € können einzeln fehlen (z. B. ohne Preis oder nur mit Geldbetrag).
+    const amounts = action.impact
+      ? [
+          typeof action.impact.kwh === "number" ? `${action.impact.kwh.toLocaleString("de-DE", { maximumFractionDigits: 0 })} kWh` : "",
+          typeof action.impact.eur === "number" ? euro(action.impact.eur) : "",
+        ].filter(Boolean)
+      : [];
+    const impact = amounts.length ? `${impactLabel} ca. ${amounts.join(" / ")} pro Monat` : "";
+    return [`${icon} ${action.title}`, action.description, action.reason ? `Grund: ${action.reason}` : "", impact]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  function euro(value) {
+    return `${value.toLocaleString("de-DE", { minimumFractionDigits: 2, maximumFractionDigits: 2 })} €`;
+  }
+
+  /**
+   * Versendet eine Nachricht über die telegram-Instanz oder die Bot-API.
+   */
+  async function sendMessage(text, replyMarkup) {
+    const truncated = text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text;
+    if (settings.instance) {
+      const message = { text: truncated, chatId: settings.chatId };
+      if (replyMarkup) {
+        message.reply_markup = replyMarkup;
+      }
+      await adapter.sendToAsync(settings.instance, "send", message);
+      return;
+    }
+
+    const body = { chat_id: settings.chatId, text: truncated };
+    if (replyMarkup) {
+      body.reply_markup = replyMarkup;
+    }
+    await callBotApi("sendMessage", body);
+  }
+
+  async function callBotApi(method, body, signal) {
+    const response = await fetch(`https://api.telegram.org/bot${settings.token}/${method}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: signal || AbortSignal.timeout(15000),
+    });
+    const data = await response.json();
+    if (!data.ok) {
+      throw new Error(data.description || `HTTP ${response.status}`);
+    }
+    return data.result;
+  }
+
+  function schedulePoll(delayMs) {
+    pollTimer = setTimeout(poll, delayMs);
+  }
+
+  /**
+   * Long-Polling der Bot-API für Button-Klicks und Antworten.
+   * Es werden nur Nachrichten aus dem konfigurierten Chat verarbeitet.
+   */
+  async function poll() {
+    pollTimer = null;
+    if (!enabled) {
+      return;
+    }
+    pollAbort = new AbortController();
+    let nextDelay = 0;
+    try {
+      const updates = await callBotApi(
+        "getUpdates",
+        { offset: updateOffset, timeout: POLL_TIMEOUT_SEC, allowed_updates: ["callback_query", "message"] },
+        pollAbort.signal,
+      );
+      for (const update of updates) {
+        updateOffset = update.update_id + 1;
+        await handleUpdate(update);
+      }
+    } catch (error) {
+      if (!enabled) {
+        return;
+      }
+      adapter.log.warn(`Telegram-Abfrage fehlgeschlagen: ${error.message}`);
+      nextDelay = POLL_RETRY_MS;
+    } finally {
+      pollAbort = null;
+    }
+    if (enabled) {
+      schedulePoll(nextDelay);
+    }
+  }
+
+  async function handleUpdate(update) {
+    if (update.callback_query) {
+      const query = update.callback_query;
+      const chatId = query.message && query.message.chat ? String(query.message.chat.id) : "";
+      await callBotApi("answerCallbackQuery", { callback_query_id: query.id }).catch(() => undefined);
+      if (chatId === String(settings.chatId)) {
+        await handleIncoming(String(query.data || ""), userName(query.from), chatId);
+      }
+      return;
+    }
+    if (update.message && typeof update.message.text === "string") {
+      const chatId = String(update.message.chat.id);
+      if (chatId === String(settings.chatId)) {
+        await handleIncoming(update.message.text.trim(), userName(update.message.from), chatId);
+      }
+    }
+  }
+
+  function userName(from) {
+    if (!from) {
+      return "";
+    }
+    return from.username || [from.first_name, from.last_name].filter(Boolean).join(" ");
   }
 
   return {
     setup,
+    sendReport,
+    sendAlert,
+    isRequestState,
+    handleStateChange,
     handleAction,
     stop,
   };
@@ -1,5 +1,10 @@
 "use strict";
 
+const crypto = require("crypto");
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const zonedFormatters = new Map();
+
 /**
  * Hilfsfunktionen für das Projekt.
  */
@@ -12,7 +17,127 @@ module.exports = () => {
     return Number.isFinite(num) ? num : null;
   }
 
+  /**
+   * Median einer Zahlenliste (bei gerader Anzahl Mittel der beiden mittleren Werte).
+   */
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Erzeugt einen kurzen, stabilen Hash (z. B. für Telegram-Callback-Daten).
+   */
+  function shortHash(text) {
+    return crypto.createHash("sha1").update(String(text)).digest("hex").slice(0, 12);
+  }
+
+  /**
+   * Prüft, ob eine IANA-Zeitzone bekannt ist.
+   */
+  function isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Zerlegt einen Zeitpunkt in lokale Datums- und Uhrzeitteile der Zeitzone (DST-sicher).
+   */
+  function zonedParts(ts, timeZone) {
+    let formatter = zonedFormatters.get(timeZone);
+    if (!formatter) {
+      formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        weekday: "short",
+      });
+      zonedFormatters.set(timeZone, formatter);
+    }
+
+    const parts = {};
+    for (const part of formatter.formatToParts(new Date(ts))) {
+      parts[part.type] = part.value;
+    }
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    };
+  }
+
+  /**
+   * Lokales Datum (YYYY-MM-DD) eines Zeitpunkts in der Zeitzone.
+   */
+  function zonedDateKey(ts, timeZone) {
+    const parts = zonedParts(ts, timeZone);
+    return `${parts.year}-${String(parts.month).padStart(2, "0")}-${String(parts.day).padStart(2, "0")}`;
+  }
+
+  /**
+   * Beginn des lokalen Tages (00:00 in der Zeitzone) als Zeitstempel, auch an Umstellungstagen.
+   */
+  function zonedDayStart(ts, timeZone) {
+    const parts = zonedParts(ts, timeZone);
+    const localMidnight = Date.UTC(parts.year, parts.month - 1, parts.day);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(ts / 60000) * 60000;
+    let start = localMidnight - offset;
+    const check = zonedParts(start, timeZone);
+    const drift = Date.UTC(check.year, check.month - 1, check.day, check.hour, check.minute) - localMidnight;
+    if (drift !== 0) {
+      start -= drift;
+    }
+    return start;
+  }
+
+  /**
+   * Liefert eine Prüffunktion für Nachtstunden (auch über Mitternacht, z. B. 22:00-05:00).
+   */
+  function createNightMatcher(nightStart, nightEnd, timeZone) {
+    const parsedStart = parseMinutes(nightStart);
+    const parsedEnd = parseMinutes(nightEnd);
+    const start = parsedStart === null ? 0 : parsedStart;
+    const end = parsedEnd === null ? 5 * 60 : parsedEnd;
+    return (ts) => {
+      const parts = zonedParts(ts, timeZone);
+      const minutes = parts.hour * 60 + parts.minute;
+      return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    };
+  }
+
+  /**
+   * Parst eine Uhrzeit HH:MM in Minuten seit Mitternacht (null bei ungültigem Format).
+   */
+  function parseMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || "").trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return null;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
   return {
     safeNumber,
+    median,
+    shortHash,
+    isValidTimeZone,
+    zonedParts,
+    zonedDateKey,
+    zonedDayStart,
+    createNightMatcher,
+    parseMinutes,
+    WEEKDAYS,
   };
 };
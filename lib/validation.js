@@ -0,0 +1,363 @@
+"use strict";
+
+const createConfig = require("./config");
+const createSeries = require("./series");
+const createUtils = require("./utils");
+const createScheduler = require("./scheduler");
+const createHistory = require("./history");
+
+/**
+ * Bekannte Kategorien und die erwartete Einheit (Art) bzw. der erwartete State-Typ.
+ * water.* und temperature.* sind als Präfix erlaubt.
+ */
+const CATEGORIES = {
+  "energy.pvPower": { units: ["power", "energy"] },
+  "energy.gridPower": { units: ["power"] },
+  "energy.batteryPower": { units: ["power"] },
+  "energy.batterySoc": { units: ["%"] },
+  "energy.houseConsumption": { units: ["power", "energy"] },
+  "energy.wallbox": { units: ["power", "energy"] },
+  "energy.heating": { units: ["power", "energy"] },
+  "energy.consumer": { units: ["power", "energy"] },
+  "water.*": {},
+  "temperature.*": { units: ["°C"] },
+  room: { units: ["°C"] },
+  leak: { type: "boolean" },
+};
+
+/**
+ * Regeltypen und die Parameter, ohne die sie nie auslösen.
+ */
+const RULE_REQUIREMENTS = {
+  relative: ["threshold"],
+  absolute: ["threshold"],
+  bounds: ["min|max"],
+  rate: ["threshold"],
+  stuck: [],
+  duration: ["threshold"],
+  seasonal: [],
+};
+
+/**
+ * Prüft die Konfiguration über die Normalisierung hinaus: referenzierte Objekte (Existenz,
+ * Typ, Einheit), Uhrzeiten, Zeitzone, Zugangsdaten und die Konsistenz von Kategorien und Flags.
+ * Ergebnis: { timestamp, valid, errors, warnings, issues: [{ severity, path, message }] }.
+ */
+module.exports = (adapter) => {
+  const config = createConfig(adapter);
+  const seriesUtils = createSeries();
+  const utils = createUtils();
+  const scheduler = createScheduler(adapter);
+  const history = createHistory(adapter);
+
+  /**
+   * Validiert native (ohne Angabe die gespeicherte Konfiguration der Instanz).
+   */
+  async function validate(source) {
+    const native = source || adapter.config || {};
+    const normalized = config.normalize(native);
+    const issues = [];
+    const objects = new Map();
+    const report = (severity, path, message) => issues.push({ severity, path, message });
+    const getObject = async (id) => {
+      if (!objects.has(id)) {
+        objects.set(id, await adapter.getForeignObjectAsync(id).catch(() => null));
+      }
+      return objects.get(id);
+    };
+
+    await checkDataPoints(native, normalized, report, getObject);
+    checkRules(native, normalized, report);
+    await checkServices(normalized, report, getObject);
+    checkTimes(normalized, report);
+    await checkTariff(normalized, report, getObject);
+    await checkForecast(normalized, report, getObject);
+
+    const errors = issues.filter((issue) => issue.severity === "error").length;
+    return {
+      timestamp: new Date().toISOString(),
+      valid: errors === 0,
+      errors,
+      warnings: issues.length - errors,
+      issues,
+    };
+  }
+
+  /**
+   * Datenpunkte: fehlende oder doppelte Object-IDs, unbekannte Kategorien, widersprüchliche Flags
+   * sowie Existenz, Typ und Einheit der referenzierten Objekte.
+   */
+  async function checkDataPoints(native, normalized, report, getObject) {
+    const raw = Array.isArray(native.dataPoints) ? native.dataPoints : [];
+    raw.forEach((entry, index) => {
+      if (!entry || !entry.objectId) {
+        report("error", `dataPoints[${index}]`, `Datenpunkt ${index + 1} hat keine Object-ID und wird ignoriert.`);
+      }
+    });
+
+    const seen = new Set();
+    for (const entry of normalized.dataPoints) {
+      const path = `dataPoints.${entry.objectId}`;
+      if (seen.has(entry.objectId)) {
+        report("error", path, `${entry.objectId} ist mehrfach konfiguriert.`);
+        continue;
+      }
+      seen.add(entry.objectId);
+      if (!entry.enabled) {
+        continue;
+      }
+
+      const category = resolveCategory(entry.category);
+      if (entry.category === "unknown") {
+        report("warning", `${path}.category`, `${entry.objectId} hat keine Kategorie und wird nur allgemein ausgewertet.`);
+      } else if (!category) {
+        report("warning", `${path}.category`, `${entry.objectId}: unbekannte Kategorie '${entry.category}'.`);
+      }
+      checkFlags(entry, path, report);
+
+      const obj = await getObject(entry.objectId);
+      if (!obj) {
+        report("error", `${path}.objectId`, `Objekt ${entry.objectId} existiert nicht.`);
+      } else if (obj.type !== "state") {
+        report("error", `${path}.objectId`, `${entry.objectId} ist kein State (Typ '${obj.type}').`);
+      } else {
+        checkObject(entry, obj, category, path, report);
+      }
+
+      if (entry.dailyObjectId && !(await getObject(entry.dailyObjectId))) {
+        report("error", `${path}.dailyObjectId`, `Tageszähler ${entry.dailyObjectId} existiert nicht.`);
+      }
+    }
+  }
+
+  function checkFlags(entry, path, report) {
+    const isEnergy = entry.category.startsWith("energy");
+    if (entry.isSource && entry.isConsumer) {
+      report("error", path, `${entry.objectId} ist zugleich Quelle und Verbraucher.`);
+    }
+    if ((entry.isSource || entry.isConsumer || entry.isFlexible || entry.includeInBalance) && !isEnergy) {
+      report("warning", path, `${entry.objectId}: Energie-Flags (Quelle, Verbraucher, Flexibel, Bilanz) wirken nur bei energy.*-Kategorien.`);
+    }
+    if (entry.isSource && ["energy.gridPower", "energy.batteryPower", "energy.batterySoc"].includes(entry.category)) {
+      report("warning", path, `${entry.objectId}: ${entry.category} wird über das Vorzeichen ausgewertet, nicht als Quelle.`);
+    }
+    if (entry.isFlexible && entry.isSource) {
+      report("warning", path, `${entry.objectId}: eine Quelle kann nicht als flexibler Verbraucher verschoben werden.`);
+    }
+    if (entry.counterMax !== null && !seriesUtils.isCumulative(entry)) {
+      report("warning", `${path}.counterMax`, `${entry.objectId}: Zähler-Überlauf ist nur bei Zählern (kWh, m³, Totalzähler) wirksam.`);
+    }
+    if (entry.maxAgeHours !== null && entry.maxAgeHours < 0) {
+      report("error", `${path}.maxAgeHours`, `${entry.objectId}: das maximale Alter darf nicht negativ sein (0 = nicht prüfen).`);
+    }
+  }
+
+  /**
+   * Vergleicht Typ und Einheit des Objekts mit Kategorie und Konfiguration.
+   */
+  function checkObject(entry, obj, category, path, report) {
+    const common = obj.common || {};
+    const expectedType = (category && category.type) || "number";
+    if (common.type && common.type !== expectedType && common.type !== "mixed") {
+      report("warning", `${path}.objectId`, `${entry.objectId} ist vom Typ '${common.type}', erwartet wird '${expectedType}'.`);
+    }
+
+    const objectUnit = String(common.unit || "").trim();
+    if (!entry.unit && objectUnit) {
+      report("warning", `${path}.unit`, `${entry.objectId}: keine Einheit konfiguriert, das Objekt meldet '${objectUnit}'.`);
+    } else if (entry.unit && objectUnit && entry.unit.toLowerCase() !== objectUnit.toLowerCase()) {
+      report("warning", `${path}.unit`, `${entry.objectId}: Einheit '${entry.unit}' weicht von der Objekt-Einheit '${objectUnit}' ab.`);
+    }
+
+    const unit = entry.unit || objectUnit;
+    if (category && category.units && unit) {
+      const kind = seriesUtils.unitKind(unit) || unit;
+      if (!category.units.includes(kind)) {
+        report("warning", `${path}.unit`, `${entry.objectId}: Einheit '${unit}' passt nicht zur Kategorie ${entry.category}.`);
+      }
+    } else if (category && category.units && category.units.includes("power") && !unit) {
+      report("warning", `${path}.unit`, `${entry.objectId}: ohne Einheit wird W angenommen.`);
+    }
+  }
+
+  /**
+   * Regeln: unbekannte Typen, fehlende Parameter und Ziele ohne passenden Datenpunkt.
+   */
+  function checkRules(native, normalized, report) {
+    const raw = Array.isArray(native.rules) ? native.rules : [];
+    raw.forEach((rule, index) => {
+      if (rule && !rule.type) {
+        report("error", `rules[${index}]`, `Regel ${rule.id || index + 1} hat keinen Typ und wird ignoriert.`);
+      }
+    });
+
+    for (const rule of normalized.rules) {
+      if (!rule.enabled) {
+        continue;
+      }
+      const path = `rules.${rule.id}`;
+      const requirements = RULE_REQUIREMENTS[rule.type];
+      if (!requirements) {
+        report("error", `${path}.type`, `Regel ${rule.id}: unbekannter Typ '${rule.type}'.`);
+        continue;
+      }
+      for (const requirement of requirements) {
+        const keys = requirement.split("|");
+        if (keys.every((key) => rule[key] === null)) {
+          report("error", path, `Regel ${rule.id} (${rule.type}) benötigt ${keys.join(" oder ")}.`);
+        }
+      }
+      if (rule.type === "bounds" && rule.min !== null && rule.max !== null && rule.min > rule.max) {
+        report("error", path, `Regel ${rule.id}: Minimum ${rule.min} liegt über dem Maximum ${rule.max}.`);
+      }
+      const pattern = new RegExp(`^${String(rule.target).split("*").map(escapeRegExp).join(".*")}$`);
+      if (!normalized.dataPoints.some((entry) => pattern.test(entry.objectId) || pattern.test(entry.category))) {
+        report("warning", `${path}.target`, `Regel ${rule.id}: Ziel '${rule.target}' passt auf keinen Datenpunkt.`);
+      }
+    }
+  }
+
+  /**
+   * Telegram, GPT und History-Instanz: Zugangsdaten und referenzierte Instanzen.
+   */
+  async function checkServices(normalized, report, getObject) {
+    const telegram = normalized.telegram;
+    if (telegram.enabled) {
+      if (!telegram.chatId) {
+        report("error", "telegram.chatId", "Telegram ist aktiviert, aber keine Chat-ID angegeben.");
+      }
+      if (!telegram.instance && !telegram.token) {
+        report("error", "telegram.token", "Telegram ist aktiviert, aber weder Bot-Token noch telegram-Instanz angegeben.");
+      }
+      if (telegram.instance && !(await getObject(`system.adapter.${telegram.instance}`))) {
+        report("error", "telegram.instance", `Instanz ${telegram.instance} existiert nicht.`);
+      }
+    }
+
+    const gpt = normalized.gpt;
+    if (gpt.enabled) {
+      if (!gpt.openaiApiKey) {
+        report(gpt.baseUrl.includes("api.openai.com") ? "error" : "warning", "gpt.openaiApiKey", "GPT ist aktiviert, aber kein API-Key angegeben.");
+      }
+      if (!/^https?:\/\//.test(gpt.baseUrl)) {
+        report("error", "gpt.baseUrl", `Ungültige Basis-URL '${gpt.baseUrl}'.`);
+      }
+    }
+
+    const historyConfig = normalized.history;
+    if (historyConfig.mode === "instance") {
+      if (!historyConfig.instance) {
+        report("error", "history.instance", "History-Modus 'Instanz' ohne Instanz.");
+      } else if (!(await getObject(`system.adapter.${historyConfig.instance}`))) {
+        report("error", "history.instance", `History-Instanz ${historyConfig.instance} existiert nicht.`);
+      }
+    }
+    for (const token of historyConfig.windows.split(/[,;\s]+/).filter(Boolean)) {
+      if (!history.parseWindow(token)) {
+        report("error", "history.windows", `Ungültiges History-Fenster '${token}' (z. B. 24h, 7d, 30d:average, 1d@365d).`);
+      }
+    }
+  }
+
+  /**
+   * Uhrzeiten, Wochentage, Cron-Ausdrücke und Zeitzone.
+   */
+  function checkTimes(normalized, report) {
+    const schedulerConfig = normalized.scheduler;
+    if (!utils.isValidTimeZone(schedulerConfig.timezone)) {
+      report("error", "scheduler.timezone", `Unbekannte Zeitzone '${schedulerConfig.timezone}' (z. B. Europe/Berlin), es wird UTC verwendet.`);
+    }
+    for (const entry of schedulerConfig.time.split(/[,;\s]+/).filter(Boolean)) {
+      if (!scheduler.parseTime(entry)) {
+        report("error", "scheduler.time", `Ungültige Uhrzeit '${entry}' (erwartet HH:MM, z. B. 08:00).`);
+      }
+    }
+    for (const day of schedulerConfig.days.toLowerCase().split(/[,;\s]+/).filter(Boolean)) {
+      if (!utils.WEEKDAYS.includes(day.slice(0, 3))) {
+        report("error", "scheduler.days", `Unbekannter Wochentag '${day}' (mon, tue, wed, thu, fri, sat, sun).`);
+      }
+    }
+    for (const expression of schedulerConfig.cron.split(";").map((item) => item.trim()).filter(Boolean)) {
+      if (!scheduler.parseCron(expression)) {
+        report("error", "scheduler.cron", `Ungültiger Cron-Ausdruck '${expression}'.`);
+      }
+    }
+
+    for (const key of ["nightStart", "nightEnd"]) {
+      if (utils.parseMinutes(normalized.analysis[key]) === null) {
+        report("error", `analysis.${key}`, `Ungültige Uhrzeit '${normalized.analysis[key]}' (erwartet HH:MM).`);
+      }
+    }
+    if (normalized.climate.comfortMin >= normalized.climate.comfortMax) {
+      report("error", "climate.comfortMin", "Der Komfortbereich ist leer (Minimum nicht kleiner als Maximum).");
+    }
+  }
+
+  /**
+   * Tarif: Zeitfenster und Preis-State.
+   */
+  async function checkTariff(normalized, report, getObject) {
+    const tariff = normalized.tariff;
+    if (tariff.mode === "timeOfUse") {
+      if (!tariff.periods.length) {
+        report("warning", "tariff.periods", "Zeitfenster-Tarif ohne Zeitfenster, es gilt der feste Preis.");
+      }
+      tariff.periods.forEach((period, index) => {
+        if (utils.parseMinutes(period.start) === null || utils.parseMinutes(period.end) === null) {
+          report("error", `tariff.periods[${index}]`, `Zeitfenster ${period.start}–${period.end} hat kein gültiges Format (HH:MM).`);
+        }
+        if (period.price === null) {
+          report("error", `tariff.periods[${index}]`, `Zeitfenster ${period.start}–${period.end} hat keinen Preis.`);
+        }
+      });
+    }
+    if (tariff.mode === "dynamic") {
+      if (!tariff.priceObjectId) {
+        report("error", "tariff.priceObjectId", "Dynamischer Tarif ohne Preis-State, es gilt der feste Preis.");
+      } else if (!(await getObject(tariff.priceObjectId))) {
+        report("error", "tariff.priceObjectId", `Preis-State ${tariff.priceObjectId} existiert nicht.`);
+      }
+    }
+  }
+
+  /**
+   * Prognose: Bewölkungs-States und Leistungsmessungen, aus denen Stundenwerte gelernt werden.
+   */
+  async function checkForecast(normalized, report, getObject) {
+    const forecast = normalized.forecast;
+    if (!forecast.enabled) {
+      return;
+    }
+    for (const key of ["cloudObjectId", "cloudTomorrowObjectId"]) {
+      if (forecast[key] && !(await getObject(forecast[key]))) {
+        report("error", `forecast.${key}`, `Bewölkungs-State ${forecast[key]} existiert nicht.`);
+      }
+    }
+    const measured = normalized.dataPoints.filter(
+      (entry) =>
+        entry.enabled &&
+        entry.includeInBalance &&
+        seriesUtils.unitKind(entry.unit) === "power" &&
+        (entry.category === "energy.gridPower" || entry.isSource || entry.isTotalMeter),
+    );
+    if (normalized.dataPoints.some((entry) => entry.enabled && entry.category.startsWith("energy")) && !measured.length) {
+      report("warning", "forecast.enabled", "Keine Leistungsmessung von Netz, PV oder Gesamtverbrauch in der Bilanz, die Prognose bleibt leer.");
+    }
+  }
+
+  function resolveCategory(category) {
+    if (CATEGORIES[category]) {
+      return CATEGORIES[category];
+    }
+    const prefix = `${category.split(".")[0]}.*`;
+    return category.includes(".") && CATEGORIES[prefix] ? CATEGORIES[prefix] : null;
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  return {
+    validate,
+  };
+};
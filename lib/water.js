@@ -0,0 +1,255 @@
+"use strict";
+
+const createUtils = require("./utils");
+const createSeries = require("./series");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const MIN_BASELINE_NIGHTS = 3;
+
+/**
+ * Wasser-Analyse: Dauerfluss, nächtlicher Verbrauch, Tagesverbrauch und Leckage-Sensoren.
+ * Jede Auffälligkeit wird als Abweichung mit hoher Priorität gemeldet, weil ein
+ * übersehenes Leck der teuerste Schaden im Haus ist.
+ */
+module.exports = (adapter) => {
+  const utils = createUtils();
+  const seriesUtils = createSeries();
+
+  /**
+   * Wertet Wasserzähler, Durchflusssensoren und Leckage-Sensoren aus.
+   * Liefert die Kennzahlen (für report.stats.water.analysis) und typisierte Abweichungen.
+   */
+  function analyze(config, liveContext, historyData, stats, policy = {}) {
+    const now = Date.now();
+    const timeZone = utils.isValidTimeZone(config.scheduler.timezone) ? config.scheduler.timezone : "UTC";
+    const isNight = utils.createNightMatcher(config.analysis.nightStart, config.analysis.nightEnd, timeZone);
+    const waterConfig = config.water;
+    const longest = seriesUtils.longestWindow(historyData, now);
+    const summary = { meters: {}, leaksActive: [] };
+    const deviations = [];
+
+    const report = (entry, type, details) => {
+      const learningKey = `${entry.objectId}:${type}`;
+      const keyPolicy = policy[learningKey] || {};
+      if (keyPolicy.mutedUntil && Date.parse(keyPolicy.mutedUntil) > now) {
+        return;
+      }
+      deviations.push({
+        objectId: entry.objectId,
+        category: entry.category,
+        ruleId: `water-${type}`,
+        type,
+        severity: "high",
+        current: details.current,
+        reference: details.reference === undefined ? null : details.reference,
+        delta: details.delta === undefined ? null : details.delta,
+        learningKey,
+        title: details.title,
+        description: details.description,
+        reason: details.reason,
+      });
+    };
+
+    for (const entry of config.dataPoints) {
+      if (!entry.enabled) {
+        continue;
+      }
+      const label = entry.description || entry.objectId;
+
+      if (entry.category === "leak") {
+        const value = liveContext.raw[entry.objectId];
+        if (value === true || value === 1 || value === "true") {
+          summary.leaksActive.push(entry.objectId);
+          report(entry, "leak", {
+            current: true,
+            title: `Wasseralarm: ${label}`,
+            description: `${label} meldet Wasser. Bitte sofort prüfen und ggf. den Hauptwasserhahn schließen.`,
+            reason: "Leckage-Sensor ist ausgelöst",
+          });
+        }
+        continue;
+      }
+
+      if (!entry.category.startsWith("water")) {
+        continue;
+      }
+      // Gelernter Schwellwert-Faktor je Prüfung (Ablehnungen heben die Grenze an).
+      const factor = (type) => (policy[`${entry.objectId}:${type}`] || {}).thresholdFactor || 1;
+      const cumulative = seriesUtils.isCumulative(entry);
+      const meter = { label, cumulative };
+      summary.meters[entry.objectId] = meter;
+
+      // Dauerfluss: Zähler steigt ohne Pause bzw. Durchfluss bleibt über 0.
+      const flow = cumulative
+        ? findCounterFlow(historyData.series[entry.objectId], waterConfig.flowGapMinutes * MINUTE_MS, now)
+        : findRateFlow(historyData.series[entry.objectId], now);
+      meter.longestFlowMinutes = flow ? Math.round(flow.durationMs / MINUTE_MS) : 0;
+      meter.flowOngoing = flow ? flow.ongoing : false;
+      const flowLimit = waterConfig.continuousFlowMinutes * factor("continuousFlow");
+      if (flow && meter.longestFlowMinutes >= flowLimit) {
+        const since = new Date(flow.start).toLocaleTimeString("de-DE", { timeZone, hour: "2-digit", minute: "2-digit" });
+        report(entry, "continuousFlow", {
+          current: meter.longestFlowMinutes,
+          reference: flowLimit,
+          delta: meter.longestFlowMinutes - flowLimit,
+          title: flow.ongoing ? "Wasser läuft ununterbrochen" : "Dauerfluss erkannt",
+          description: `${label}: seit ${since} Uhr ${formatDuration(flow.durationMs)} ohne Pause Wasser${
+            flow.ongoing ? " – läuft noch" : ""
+          }. Tropfender Hahn, laufende Toilettenspülung oder Leck prüfen.`,
+          reason: `Durchgehender Fluss ${meter.longestFlowMinutes} min, Grenze ${Math.round(flowLimit)} min`,
+        });
+      }
+
+      if (!cumulative) {
+        continue;
+      }
+      const toLiters = seriesUtils.volumeFactorL(entry.unit);
+
+      // Nachtverbrauch der letzten Nacht gegen den Median der Nächte davor.
+      const nights = longest ? nightlyConsumption(longest.series[entry.objectId], isNight, timeZone) : {};
+      const todayKey = utils.zonedDateKey(now, timeZone);
+      const lastNight = isNight(now) ? undefined : nights[todayKey];
+      const previous = Object.entries(nights)
+        .filter(([key]) => key !== todayKey)
+        .map(([, value]) => value);
+      meter.nightLiters = lastNight === undefined ? null : round(lastNight * toLiters);
+      meter.nightBaselineLiters = previous.length >= MIN_BASELINE_NIGHTS ? round(utils.median(previous) * toLiters) : null;
+      if (meter.nightLiters !== null && meter.nightBaselineLiters !== null) {
+        const allowed = waterConfig.nightThresholdL * factor("nightUsage");
+        const delta = meter.nightLiters - meter.nightBaselineLiters;
+        if (delta > allowed) {
+          report(entry, "nightUsage", {
+            current: meter.nightLiters,
+            reference: meter.nightBaselineLiters,
+            delta: round(delta),
+            title: "Wasserverbrauch in der Nacht",
+            description: `${label}: letzte Nacht ${format(meter.nightLiters)} l verbraucht, üblich sind ${format(
+              meter.nightBaselineLiters,
+            )} l. Nachts sollte kaum Wasser fließen – Leck oder laufende Spülung prüfen.`,
+            reason: `${format(delta)} l über dem Median von ${previous.length} Nächten (${config.analysis.nightStart}-${config.analysis.nightEnd})`,
+          });
+        }
+      }
+
+      // Tagesverbrauch (gestern, vollständiger Tag) gegen das 7-Tage-Mittel.
+      const period = stats && stats.periods && stats.periods[entry.objectId];
+      meter.yesterdayLiters = period && period.yesterday !== null ? round(period.yesterday * toLiters) : null;
+      meter.average7dLiters = period && period.average7d !== null ? round(period.average7d * toLiters) : null;
+      if (period && period.days >= MIN_BASELINE_NIGHTS && meter.yesterdayLiters !== null && meter.average7dLiters) {
+        const limit = meter.average7dLiters * waterConfig.dailyIncreaseFactor * factor("dailyUsage");
+        if (meter.yesterdayLiters > limit && meter.yesterdayLiters - meter.average7dLiters > waterConfig.nightThresholdL) {
+          report(entry, "dailyUsage", {
+            current: meter.yesterdayLiters,
+            reference: meter.average7dLiters,
+            delta: round(meter.yesterdayLiters - meter.average7dLiters),
+            title: "Ungewöhnlich hoher Wasserverbrauch",
+            description: `${label}: gestern ${format(meter.yesterdayLiters)} l statt durchschnittlich ${format(
+              meter.average7dLiters,
+            )} l pro Tag.`,
+            reason: `${format((meter.yesterdayLiters / meter.average7dLiters) * 100 - 100)} % über dem 7-Tage-Mittel (Grenze ${format(
+              (waterConfig.dailyIncreaseFactor - 1) * 100,
+            )} %)`,
+          });
+        }
+      }
+    }
+
+    adapter.log.debug(`Wasser-Analyse: ${deviations.length} Auffälligkeiten.`);
+    return { summary, deviations };
+  }
+
+  /**
+   * Längste Phase, in der der Zähler ohne Pause (Abstand <= maxGapMs) steigt.
+   * Bei onchange-Aufzeichnung kann der vorige Punkt Stunden alt sein: eine Phase beginnt daher erst
+   * beim ersten Anstieg (bzw. am vorigen Punkt, wenn dieser höchstens maxGapMs zurückliegt).
+   */
+  function findCounterFlow(series, maxGapMs, now) {
+    const points = seriesUtils.toPoints(series);
+    let best = null;
+    let runStart = null;
+    let lastIncrease = null;
+    for (let index = 1; index < points.length; index++) {
+      const from = points[index - 1];
+      const to = points[index];
+      if (to.val <= from.val) {
+        continue;
+      }
+      if (lastIncrease === null || to.ts - lastIncrease > maxGapMs) {
+        runStart = to.ts - from.ts <= maxGapMs ? from.ts : to.ts;
+      }
+      lastIncrease = to.ts;
+      best = longer(best, { start: runStart, end: lastIncrease });
+    }
+    if (best) {
+      best.ongoing = best.end === lastIncrease && now - lastIncrease <= maxGapMs;
+    }
+    return best;
+  }
+
+  /**
+   * Längste Phase mit Durchfluss > 0 bei Durchflusssensoren (z. B. l/min).
+   */
+  function findRateFlow(series, now) {
+    const points = seriesUtils.toPoints(series);
+    let best = null;
+    let runStart = null;
+    for (const point of points) {
+      if (point.val > 0 && runStart === null) {
+        runStart = point.ts;
+      } else if (point.val <= 0 && runStart !== null) {
+        best = longer(best, { start: runStart, end: point.ts, ongoing: false });
+        runStart = null;
+      }
+    }
+    if (runStart !== null) {
+      best = longer(best, { start: runStart, end: now, ongoing: true });
+    }
+    return best;
+  }
+
+  function longer(best, candidate) {
+    const duration = candidate.end - candidate.start;
+    if (!best || duration > best.durationMs) {
+      return { ...candidate, durationMs: duration };
+    }
+    return best;
+  }
+
+  /**
+   * Zählerzuwachs je Nacht. Ein Zuwachs zählt zum Zeitpunkt des neuen Zählerstands, da der vorige
+   * Punkt bei onchange-Aufzeichnung weit zurückliegen kann. Schlüssel ist das Datum des Morgens:
+   * +12 h verschiebt auch Nächte über Mitternacht (z. B. 22:00-05:00) vollständig auf den folgenden Tag.
+   */
+  function nightlyConsumption(series, isNight, timeZone) {
+    const points = seriesUtils.toPoints(series);
+    const nights = {};
+    for (let index = 1; index < points.length; index++) {
+      const from = points[index - 1];
+      const to = points[index];
+      if (!isNight(to.ts)) {
+        continue;
+      }
+      const key = utils.zonedDateKey(to.ts + 12 * HOUR_MS, timeZone);
+      nights[key] = (nights[key] || 0) + Math.max(to.val - from.val, 0);
+    }
+    return nights;
+  }
+
+  function formatDuration(ms) {
+    const minutes = Math.round(ms / MINUTE_MS);
+    return minutes >= 120 ? `${format(minutes / 60)} h` : `${minutes} min`;
+  }
+
+  function round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  function format(value) {
+    return Number(value).toLocaleString("de-DE", { maximumFractionDigits: 1 });
+  }
+
+  return {
+    analyze,
+  };
+};
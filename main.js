@@ -12,12 +12,25 @@ const createDiscovery = require("./lib/discovery");
 const createLiveContext = require("./lib/liveContext");
 const createHistory = require("./lib/history");
 const createStats = require("./lib/stats");
+const createBalance = require("./lib/balance");
 const createRules = require("./lib/rules");
+const createBaselines = require("./lib/baselines");
 const createActions = require("./lib/actions");
+const createLearning = require("./lib/learning");
 const createReport = require("./lib/report");
 const createTelegram = require("./lib/telegram");
 const createGpt = require("./lib/gpt");
 const createScheduler = require("./lib/scheduler");
+const createMonitor = require("./lib/monitor");
+const createWater = require("./lib/water");
+const createClimate = require("./lib/climate");
+const createProfiles = require("./lib/profiles");
+const createForecast = require("./lib/forecast");
+const createQuality = require("./lib/quality");
+const createAdvisor = require("./lib/advisor");
+const createTariff = require("./lib/tariff");
+const createArchive = require("./lib/archive");
+const createValidation = require("./lib/validation");
 
 /**
  * Adapter-Factory.
@@ -34,36 +47,152 @@ function startAdapter(options) {
   const liveContext = createLiveContext(adapter);
   const history = createHistory(adapter);
   const stats = createStats(adapter);
+  const balance = createBalance(adapter);
   const rules = createRules(adapter);
+  const baselines = createBaselines(adapter);
   const actions = createActions(adapter);
+  const learning = createLearning(adapter);
   const report = createReport(adapter);
   const telegram = createTelegram(adapter);
   const gpt = createGpt(adapter);
   const scheduler = createScheduler(adapter);
+  const monitor = createMonitor(adapter);
+  const water = createWater(adapter);
+  const climate = createClimate(adapter);
+  const profiles = createProfiles(adapter);
+  const forecast = createForecast(adapter);
+  const quality = createQuality(adapter);
+  const advisor = createAdvisor(adapter);
+  const tariff = createTariff(adapter);
+  const archive = createArchive(adapter);
+  const validation = createValidation(adapter);
 
   let analysisRunning = false;
+  let pendingDataPoints = null;
 
   /**
-   * Führt die Analyse sicher und mit Sperre aus.
+   * Schreibbare Control-States bzw. sendTo-Kommandos -> Entscheidung im Aktions-Lifecycle.
    */
-  async function runAnalysisWithLock(trigger) {
+  const actionCommands = {
+    approveAction: "approve",
+    rejectAction: "reject",
+    completeAction: "complete",
+  };
+
+  /**
+   * Führt die Analyse sicher und mit Sperre aus; afterRun läuft nach Erfolg noch unter der Sperre.
+   * Liefert true, wenn die Analyse erfolgreich durchgelaufen ist.
+   */
+  async function runAnalysisWithLock(trigger, afterRun) {
     if (analysisRunning) {
       adapter.log.info(`Analyse bereits aktiv, Trigger '${trigger}' wird ignoriert.`);
-      return;
+      return false;
     }
     analysisRunning = true;
     adapter.log.info(`Starte Analyse (Trigger: ${trigger}).`);
     try {
       await runAnalysis();
       await state.setMeta("lastRun", new Date().toISOString());
+      if (afterRun) {
+        await afterRun();
+      }
+      return true;
     } catch (error) {
       adapter.log.error(`Analyse fehlgeschlagen: ${error.message}`);
       await state.setInfo("lastError", String(error.message || error));
+      return false;
     } finally {
       analysisRunning = false;
+      if (pendingDataPoints) {
+        await saveDataPoints(pendingDataPoints).catch((error) => adapter.log.warn(`Datenpunkte nicht gespeichert: ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Schreibt native.dataPoints. Die Änderung startet die Instanz neu, daher erst nach einer laufenden Analyse.
+   */
+  async function saveDataPoints(dataPoints) {
+    if (analysisRunning) {
+      pendingDataPoints = dataPoints;
+      adapter.log.info("Datenpunkte werden nach der laufenden Analyse gespeichert.");
+      return;
+    }
+    pendingDataPoints = null;
+    await adapter.extendForeignObjectAsync(`system.adapter.${adapter.namespace}`, { native: { dataPoints } });
+  }
+
+  /**
+   * Übernimmt eine Entscheidung (Telegram, State oder sendTo) und lernt daraus.
+   */
+  async function decideAction(decision) {
+    const result = await actions.applyDecision(decision);
+    if (result.ok && result.isFeedback) {
+      await learning.recordDecision(config.normalize(), result.action);
+    }
+    return result;
+  }
+
+  /**
+   * Ermittelt die Datenpunkte mit den ausgewählten Discovery-Kandidaten (ohne Duplikate).
+   * payload: { objectIds } oder { candidates } aus der Admin-Tabelle (Auswahl über selected);
+   * ohne candidates gelten die Kandidaten des letzten Scans aus info.discoveryCandidates.
+   * Gespeichert wird erst nach der Antwort (saveDataPoints), da native einen Neustart auslöst.
+   */
+  async function applyDiscoveryCandidates(payload) {
+    const instanceObj = await adapter.getForeignObjectAsync(`system.adapter.${adapter.namespace}`);
+    const native = (instanceObj && instanceObj.native) || adapter.config;
+    const candidates = Array.isArray(payload.candidates) ? payload.candidates : await state.getJson("info.discoveryCandidates", []);
+
+    const result = discovery.mergeCandidates(native.dataPoints, candidates, payload.objectIds);
+    adapter.log.info(
+      `Discovery: ${result.added.length} Datenpunkte übernommen, ${result.skipped.length} bereits vorhanden oder ohne Vorschlag.`,
+    );
+    return result;
+  }
+
+  /**
+   * Prüft die gespeicherte Konfiguration und schreibt das Ergebnis nach info.configIssues.
+   */
+  async function validateSavedConfig() {
+    const result = await validation.validate();
+    await state.setJson("info.configIssues", result);
+    for (const issue of result.issues.filter((item) => item.severity === "error")) {
+      adapter.log.warn(`Konfiguration (${issue.path}): ${issue.message}`);
+    }
+    if (result.issues.length) {
+      adapter.log.info(`Konfigurationsprüfung: ${result.errors} Fehler, ${result.warnings} Hinweise (siehe info.configIssues).`);
+    }
+    return result;
+  }
+
+  /**
+   * Live-Alarm: sofort als dringende Aktion anlegen und benachrichtigen (ohne Historien-Analyse).
+   * Solange eine Aktion zum selben Alarm offen ist, wird nicht erneut benachrichtigt.
+   */
+  async function handleLiveAlert(deviation) {
+    try {
+      const normalizedConfig = config.normalize();
+      const policy = await learning.getPolicy(normalizedConfig);
+      const candidates = actions.build(normalizedConfig, null, [deviation], policy);
+      const { created } = await actions.sync(normalizedConfig, candidates);
+      await state.setJson("live.lastAlert", deviation);
+      for (const action of created) {
+        await telegram.sendAlert(action);
+      }
+    } catch (error) {
+      adapter.log.error(`Live-Alarm konnte nicht verarbeitet werden: ${error.message}`);
+      await state.setInfo("lastError", error.message);
     }
   }
 
+  /**
+   * Geplanter Tagesreport; merkt sich den Zeitpunkt für das Nachholen verpasster Termine.
+   */
+  async function runScheduledAnalysis(trigger) {
+    await runAnalysisWithLock(trigger, () => state.setMeta("lastDailyReportTs", new Date().toISOString()));
+  }
+
   /**
    * Gesamter Analyse-Workflow gemäß Spezifikation.
    */
@@ -78,13 +207,61 @@ function startAdapter(options) {
 
     const live = await liveContext.collect(normalizedConfig);
     const historyData = await history.collect(normalizedConfig, live);
-    const computedStats = stats.compute(normalizedConfig, live, historyData);
-    const deviations = rules.detectDeviations(normalizedConfig, live, historyData, computedStats);
-    const actionList = actions.build(normalizedConfig, computedStats, deviations);
-    const enrichedActions = await gpt.enrichActions(normalizedConfig, actionList, computedStats);
-    const finalReport = report.build(normalizedConfig, live, historyData, computedStats, enrichedActions);
+    const policy = await learning.getPolicy(normalizedConfig);
+    const dataQuality = await quality.assess(normalizedConfig, live, historyData, policy);
+    quality.apply(live, historyData, dataQuality);
+    const memoryHistory = await state.getJson("memory.history", {});
+    const computedStats = stats.compute(normalizedConfig, live, historyData, memoryHistory);
+    computedStats.dataQuality = dataQuality.summary;
+    await state.setJson("memory.history", stats.updateMemory(memoryHistory, computedStats));
+    computedStats.balance = balance.compute(normalizedConfig, historyData);
+    await balance.persist(computedStats.balance);
+    computedStats.cost = await tariff.compute(normalizedConfig, historyData);
+    await tariff.persist(computedStats.cost);
+    const learned = baselines.update(normalizedConfig, historyData, await state.getJson("memory.learning", {}));
+    await state.setJson("memory.learning", learned);
+    const deviations = rules.detectDeviations(normalizedConfig, live, historyData, computedStats, policy, learned);
+    deviations.push(...dataQuality.deviations);
+    const waterAnalysis = water.analyze(normalizedConfig, live, historyData, computedStats, policy);
+    computedStats.water.analysis = waterAnalysis.summary;
+    deviations.push(...waterAnalysis.deviations);
+    const memoryClimate = await state.getJson("memory.climate", {});
+    const climateAnalysis = climate.analyze(normalizedConfig, live, historyData, computedStats, memoryClimate, policy);
+    await state.setJson("memory.climate", climateAnalysis.memory);
+    computedStats.temperature.rooms = climateAnalysis.summary.rooms;
+    computedStats.temperature.heating = climateAnalysis.summary.heating;
+    deviations.push(...climateAnalysis.deviations);
+    const memoryProfiles = await state.getJson("memory.profiles", {});
+    const profileAnalysis = profiles.analyze(normalizedConfig, live, historyData, computedStats, memoryProfiles, policy);
+    await state.setJson("memory.profiles", profileAnalysis.memory);
+    computedStats.energy.devices = profileAnalysis.summary;
+    deviations.push(...profileAnalysis.deviations);
+    const memoryForecast = await state.getJson("memory.forecast", {});
+    const prediction = await forecast.analyze(normalizedConfig, live, historyData, computedStats, memoryForecast, policy);
+    await state.setJson("memory.forecast", prediction.memory);
+    computedStats.energy.forecast = prediction.summary;
+    await forecast.persist(prediction.summary);
+    deviations.push(...prediction.recommendations);
+    const advice = advisor.analyze(normalizedConfig, live, historyData, computedStats, policy);
+    computedStats.energy.advisor = advice.summary;
+    deviations.push(...advice.recommendations);
+    tariff.annotate(normalizedConfig, deviations, computedStats);
+    const candidates = actions.build(normalizedConfig, computedStats, deviations, policy);
+    const { created } = await actions.sync(normalizedConfig, candidates);
+    const enrichedActions = await gpt.enrichActions(normalizedConfig, created, computedStats);
+    const openActions = await actions.applyEnrichment(enrichedActions);
+    const finalReport = report.build(normalizedConfig, live, historyData, computedStats, openActions);
 
     await report.persist(finalReport);
+    await state.writeDataPointStates(normalizedConfig, live, computedStats);
+    const archived = await archive.store(normalizedConfig, finalReport);
+    if (await telegram.sendReport(finalReport, created)) {
+      await state.setJson("report.dailyLastSent", {
+        timestamp: new Date().toISOString(),
+        reportId: archived ? archived.id : "",
+        channel: "telegram",
+      });
+    }
   }
 
   adapter.on("ready", async () => {
@@ -92,12 +269,19 @@ function startAdapter(options) {
       await state.ensureStates();
       await state.setInfo("connection", true);
       await state.setInfo("lastError", "");
+      await validateSavedConfig().catch((error) => adapter.log.warn(`Konfigurationsprüfung fehlgeschlagen: ${error.message}`));
 
       const normalizedConfig = config.normalize();
-      await telegram.setup(normalizedConfig);
-      await scheduler.start(normalizedConfig, () => runAnalysisWithLock("scheduler"));
+      await state.syncDataPointStates(normalizedConfig);
+      await telegram.setup(normalizedConfig, decideAction);
+      await monitor.start(normalizedConfig, handleLiveAlert);
 
       adapter.subscribeStates("control.run");
+      for (const command of Object.keys(actionCommands)) {
+        adapter.subscribeStates(`control.${command}`);
+      }
+      // Zuletzt: ein nachgeholter Termin startet sofort eine Analyse, Live-Überwachung und Steuerung laufen dann schon.
+      await scheduler.start(normalizedConfig, runScheduledAnalysis);
       adapter.log.info("Adapter ist bereit.");
     } catch (error) {
       adapter.log.error(`onReady Fehler: ${error.message}`);
@@ -106,6 +290,17 @@ function startAdapter(options) {
   });
 
   adapter.on("stateChange", async (id, stateObj) => {
+    if (telegram.isRequestState(id)) {
+      await telegram.handleStateChange(id, stateObj);
+      return;
+    }
+
+    // Fremde Datenpunkte werden vom Gerät mit ack=true geschrieben, daher vor dem ack-Filter.
+    if (monitor.isWatched(id)) {
+      await monitor.handleStateChange(id, stateObj);
+      return;
+    }
+
     if (!stateObj || stateObj.ack) {
       return;
     }
@@ -113,6 +308,20 @@ function startAdapter(options) {
     if (id.endsWith("control.run") && stateObj.val === true) {
       await adapter.setStateAsync("control.run", false, true);
       await runAnalysisWithLock("control.run");
+      return;
+    }
+
+    const command = Object.keys(actionCommands).find((key) => id.endsWith(`control.${key}`));
+    if (command && stateObj.val) {
+      const result = await decideAction({
+        actionId: String(stateObj.val).trim(),
+        decision: actionCommands[command],
+        source: "state",
+      });
+      if (!result.ok) {
+        adapter.log.warn(`control.${command}: ${result.error}`);
+      }
+      await adapter.setStateAsync(`control.${command}`, "", true);
     }
   });
 
@@ -125,12 +334,12 @@ function startAdapter(options) {
       adapter.log.info("Starte Discovery auf Anforderung der Admin-Oberfläche.");
       try {
         const result = await discovery.runDiscovery();
-        await adapter.extendForeignObjectAsync(adapter.namespace, {
-          native: {
-            discoveryCandidates: result,
-          },
-        });
-        adapter.sendTo(msg.from, msg.command, { ok: true, count: result.length }, msg.callback);
+        // Kandidaten im State statt in native: eine Änderung an native würde die Instanz neu starten.
+        await state.setJson("info.discoveryCandidates", result);
+        const devices = new Set(result.map((candidate) => candidate.device)).size;
+        // native in der Antwort füllt nur die Tabelle im Admin (useNative), gespeichert wird dort nichts.
+        const reply = { ok: true, count: result.length, devices, native: { discoveryCandidates: result } };
+        adapter.sendTo(msg.from, msg.command, reply, msg.callback);
       } catch (error) {
         adapter.log.warn(`Discovery fehlgeschlagen: ${error.message}`);
         adapter.sendTo(msg.from, msg.command, { ok: false, error: error.message }, msg.callback);
@@ -138,14 +347,72 @@ function startAdapter(options) {
       return;
     }
 
+    if (msg.command === "applyDiscoveryCandidates") {
+      try {
+        const result = await applyDiscoveryCandidates(msg.message || {});
+        adapter.sendTo(msg.from, msg.command, { ok: true, added: result.added, skipped: result.skipped }, msg.callback);
+        if (result.added.length) {
+          // Änderung an native führt zu einem Neustart der Instanz mit den neuen Datenpunkten.
+          await saveDataPoints(result.dataPoints);
+        }
+      } catch (error) {
+        adapter.log.warn(`Übernahme der Discovery-Kandidaten fehlgeschlagen: ${error.message}`);
+        adapter.sendTo(msg.from, msg.command, { ok: false, error: error.message }, msg.callback);
+      }
+      return;
+    }
+
+    if (msg.command === "validateConfig") {
+      try {
+        // Die Admin-Oberfläche schickt die (noch ungespeicherte) Konfiguration mit; nur die gespeicherte landet im State.
+        const payload = msg.message && typeof msg.message === "object" ? msg.message : {};
+        const result = payload.native ? await validation.validate(payload.native) : await validateSavedConfig();
+        adapter.sendTo(msg.from, msg.command, { ok: true, ...result }, msg.callback);
+      } catch (error) {
+        adapter.log.warn(`Konfigurationsprüfung fehlgeschlagen: ${error.message}`);
+        adapter.sendTo(msg.from, msg.command, { ok: false, error: error.message }, msg.callback);
+      }
+      return;
+    }
+
+    if (msg.command === "getReport") {
+      try {
+        const query = typeof msg.message === "string" ? { date: msg.message } : msg.message || {};
+        adapter.sendTo(msg.from, msg.command, await archive.getReport(query), msg.callback);
+      } catch (error) {
+        adapter.log.warn(`Archivierter Report nicht lesbar: ${error.message}`);
+        adapter.sendTo(msg.from, msg.command, { ok: false, error: error.message }, msg.callback);
+      }
+      return;
+    }
+
+    if (actionCommands[msg.command]) {
+      const payload = typeof msg.message === "string" ? { actionId: msg.message } : msg.message || {};
+      const result = await decideAction({
+        actionId: payload.actionId,
+        decision: actionCommands[msg.command],
+        comment: payload.comment || "",
+        source: "sendTo",
+        user: payload.user || "",
+      });
+      if (msg.callback) {
+        adapter.sendTo(msg.from, msg.command, result, msg.callback);
+      }
+      return;
+    }
+
     if (msg.command === "telegramAction") {
-      await telegram.handleAction(msg);
+      const result = await telegram.handleAction(msg);
+      if (msg.callback) {
+        adapter.sendTo(msg.from, msg.command, result, msg.callback);
+      }
     }
   });
 
   adapter.on("unload", async (callback) => {
     try {
       await scheduler.stop();
+      await monitor.stop();
       await telegram.stop();
       await state.setInfo("connection", false);
       callback();